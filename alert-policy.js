@@ -0,0 +1,211 @@
+// Escalating Posture Alert Policy
+class AlertPolicy {
+    constructor() {
+        // Alert level by how long bad posture has lasted without a break
+        this.levels = [
+            { level: 'nudge', after: 0, title: '💡 Posture Check' },                      // gentle in-app nudge
+            { level: 'notification', after: 30000, title: '⚠️ Perfect Posture Alert' },   // native notification
+            { level: 'persistent', after: 120000, title: '🚨 Still Slouching' }           // stays until dismissed, with sound
+        ];
+        this.responseWindow = 30000; // An alert without a reaction or correction within this is ignored
+        this.maxBackoff = 8;         // Largest cooldown multiplier after repeated ignored alerts
+
+        // Several wordings per detected problem so alerts don't read like the same nag every time
+        this.messages = {
+            headDrop: [
+                'Your head has dropped. Lift your chin and look straight ahead.',
+                'Bring your head back up to where you calibrated it.',
+                'Eyes level with the top of the screen, not the keyboard.'
+            ],
+            shoulderTilt: [
+                'One shoulder is lower than the other. Even them out.',
+                'You are leaning on one side. Sit evenly on both hips.'
+            ],
+            neckForward: [
+                'Your head is drifting toward the screen. Tuck your chin back.',
+                'Pull your head back over your shoulders.',
+                'Forward head posture loads your neck. Sit back.'
+            ],
+            shoulderAngle: [
+                'Level your shoulders.',
+                'Drop the raised shoulder and relax both sides.'
+            ],
+            torsoLean: [
+                'Your upper body is leaning to one side. Center yourself.',
+                'Sit upright over your hips instead of leaning sideways.'
+            ],
+            default: [
+                'Please sit up straight and adjust your posture!',
+                'Sit tall and relax your shoulders.',
+                'Time to reset: feet flat, back against the chair, shoulders down.'
+            ]
+        };
+
+        this.problemLabels = {
+            headDrop: 'Head drop',
+            shoulderTilt: 'Shoulder tilt',
+            neckForward: 'Forward head',
+            shoulderAngle: 'Uneven shoulders',
+            torsoLean: 'Side lean',
+            default: 'Bad posture'
+        };
+
+        this.pending = null;
+        this.messageIndex = {};
+        this.reset();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Buttons and clicks on native notifications count as responses
+        if (window.electronAPI && window.electronAPI.onNotificationAction) {
+            window.electronAPI.onNotificationAction((event, { action }) => {
+                if (action === 'snooze') this.respond('snoozed');
+                if (action === 'open') this.respond('opened');
+            });
+        }
+    }
+
+    // Start over for a new session; an unanswered alert is closed as ended
+    reset() {
+        this.finishPending('ended');
+        this.badReadings = 0;
+        this.badSince = null;
+        this.nextAlertAt = 0;
+        this.ignoredStreak = 0;
+    }
+
+    // A reading that isn't bad posture, or a frame without one (no person, no class settled yet)
+    endBadStretch() {
+        this.badReadings = 0;
+        this.badSince = null;
+    }
+
+    // Cooldown multiplier for the notification service, doubled for each alert ignored in a row
+    getBackoff() {
+        return Math.min(2 ** this.ignoredStreak, this.maxBackoff);
+    }
+
+    getLevel(badDuration) {
+        return this.levels.filter(level => badDuration >= level.after).pop();
+    }
+
+    // Most specific problem: calibration deviation, then geometry, then a model class with its own alert messages
+    getProblem(predictedClass, deviation, metrics) {
+        if (deviation && deviation.issue) return deviation.issue;
+
+        const issues = metrics ? window.postureMetrics.getIssues(metrics) : [];
+        if (issues.length > 0) return issues[0];
+
+        return window.classConfig.get(predictedClass).alertMessages ? predictedClass : 'default';
+    }
+
+    pickMessage(problem) {
+        const messages = this.messages[problem] || window.classConfig.get(problem).alertMessages || this.messages.default;
+        const index = this.messageIndex[problem] || 0;
+        this.messageIndex[problem] = (index + 1) % messages.length;
+        return messages[index];
+    }
+
+    describeProblem(problem) {
+        return this.problemLabels[problem] || window.classConfig.get(problem).problemLabel || this.problemLabels.default;
+    }
+
+    // Feed every classified frame; returns an alert to deliver, or null.
+    // `now` is only passed for replayed frames, which are timed by when they were recorded.
+    update(predictedClass, confidence, deviation, metrics, now = Date.now()) {
+        if (this.pending && now - this.pending.at > this.responseWindow) {
+            this.finishPending('ignored');
+        }
+
+        // The threshold counts consecutive bad readings: good or unsure readings start it over
+        if (!window.decisionPolicy.isBadPosture(predictedClass, confidence)) {
+            this.endBadStretch();
+            if (window.decisionPolicy.isGoodPosture(predictedClass, confidence)) {
+                this.finishPending('corrected');
+            }
+            return null;
+        }
+
+        this.badReadings++;
+        if (this.badSince === null) {
+            this.badSince = now;
+        }
+
+        // The notification service owns the cooldown and tells us when the next alert may go out
+        if (this.badReadings < window.settingsManager.get('notificationThreshold') || now < this.nextAlertAt) {
+            return null;
+        }
+
+        // Snoozed, in quiet hours or in a meeting: hold the alert back but keep recording
+        const suppression = window.alertSchedule.getSuppression();
+        if (suppression) {
+            console.log(`🔕 Posture alert suppressed (${suppression})`);
+            this.badReadings = 0;
+            return null;
+        }
+
+        const { level, title } = this.getLevel(now - this.badSince);
+        const problem = this.getProblem(predictedClass, deviation, metrics);
+        const alert = {
+            level,
+            problem,
+            title,
+            message: this.pickMessage(problem),
+            backoff: this.getBackoff(),
+            at: now,
+            record: null
+        };
+
+        // No further alerts until the delivery result comes back
+        this.nextAlertAt = Infinity;
+        this.badReadings = 0;
+
+        console.log(`🚨 Posture alert (${level}, ${problem}) after ${Math.round((now - this.badSince) / 1000)}s of bad posture`);
+        return alert;
+    }
+
+    // Result from the notification service for an alert returned by update()
+    handleDelivery(alert, result) {
+        this.nextAlertAt = result.cooldownUntil || Date.now();
+
+        if (!result.delivered) {
+            console.log(`⏳ Posture alert not delivered (${result.reason})`);
+            return;
+        }
+
+        // Still slouching when the next alert went out: the previous one went unanswered
+        this.finishPending('ignored');
+
+        alert.at = Date.now();
+        alert.record = window.sessionTracker ? window.sessionTracker.recordAlert(alert.level, alert.problem) : null;
+        this.pending = alert;
+    }
+
+    // The user reacted to the latest alert: 'dismissed', 'snoozed' or 'opened'
+    respond(response) {
+        this.finishPending(response);
+    }
+
+    finishPending(response) {
+        if (!this.pending) return;
+
+        if (this.pending.record) {
+            this.pending.record.response = response;
+            this.pending.record.respondedAfter = Math.round((Date.now() - this.pending.at) / 1000);
+        }
+
+        // Back off while alerts go unanswered, return to the normal cadence once the user reacts
+        if (response === 'ignored') {
+            this.ignoredStreak++;
+            console.log(`🙈 Alert ignored, cooldown now ${this.getBackoff()}x`);
+        } else if (response !== 'ended') {
+            this.ignoredStreak = 0;
+        }
+
+        this.pending = null;
+    }
+}
+
+// Initialize alert policy
+window.alertPolicy = new AlertPolicy();
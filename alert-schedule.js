@@ -0,0 +1,133 @@
+// Snooze, Quiet Hours and Meeting Mode for Posture Alerts
+class AlertSchedule {
+    constructor() {
+        this.snoozeOptions = [10, 30]; // Minutes offered on alerts
+        this.snoozedUntil = null;
+        this.snoozeTimer = null;
+        this.meetingMode = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+
+        // Quiet hours start and end on the clock, so refresh the status every minute
+        setInterval(() => this.updateStatus(), 60000);
+    }
+
+    setupEventListeners() {
+        document.getElementById('meeting-mode')?.addEventListener('change', (e) => this.setMeetingMode(e.target.checked));
+        document.getElementById('resume-alerts-btn')?.addEventListener('click', () => this.resume());
+
+        // Snooze buttons on native notifications
+        if (window.electronAPI && window.electronAPI.onNotificationAction) {
+            window.electronAPI.onNotificationAction((event, { action, minutes }) => {
+                if (action === 'snooze') {
+                    this.snooze(minutes);
+                }
+            });
+        }
+
+        // Quiet hours come from the user's settings
+        window.settingsManager.onChange(() => this.updateStatus());
+    }
+
+    snooze(minutes) {
+        this.clearSnooze();
+        this.snoozedUntil = Date.now() + minutes * 60 * 1000;
+        this.snoozeTimer = setTimeout(() => this.resume(), minutes * 60 * 1000);
+        console.log(`😴 Alerts snoozed for ${minutes} minutes`);
+        this.updateStatus();
+    }
+
+    // End a snooze early
+    resume() {
+        this.clearSnooze();
+        this.updateStatus();
+    }
+
+    clearSnooze() {
+        if (this.snoozeTimer) {
+            clearTimeout(this.snoozeTimer);
+            this.snoozeTimer = null;
+        }
+        this.snoozedUntil = null;
+    }
+
+    // Alerts are held back during meetings; sessions keep recording
+    setMeetingMode(enabled) {
+        this.meetingMode = enabled;
+        console.log(`🎤 Meeting mode ${enabled ? 'on' : 'off'}`);
+        this.updateStatus();
+    }
+
+    // Forget snoozes and meeting mode when the user signs out
+    reset() {
+        this.clearSnooze();
+        this.meetingMode = false;
+        this.updateStatus();
+    }
+
+    // Minutes since midnight for a 'HH:MM' string
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // The quiet-hours window covering the given time, if any; windows may span midnight
+    getActiveQuietHours(date = new Date()) {
+        const now = date.getHours() * 60 + date.getMinutes();
+        const windows = window.settingsManager.get('quietHours') || [];
+
+        return windows.find(({ start, end }) => {
+            const from = this.toMinutes(start);
+            const to = this.toMinutes(end);
+            return from < to ? now >= from && now < to : now >= from || now < to;
+        }) || null;
+    }
+
+    // Why alerts are currently held back, or null when they may be sent
+    getSuppression() {
+        if (this.meetingMode) return 'meeting';
+        if (this.snoozedUntil && Date.now() < this.snoozedUntil) return 'snoozed';
+        if (this.getActiveQuietHours()) return 'quiet-hours';
+        return null;
+    }
+
+    describeSuppression() {
+        switch (this.getSuppression()) {
+            case 'meeting':
+                return 'Meeting mode: alerts paused';
+            case 'snoozed':
+                return `Alerts snoozed until ${this.formatTime(this.snoozedUntil)}`;
+            case 'quiet-hours':
+                return `Quiet hours until ${this.getActiveQuietHours().end}`;
+            default:
+                return '';
+        }
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    updateStatus() {
+        const meetingCheckbox = document.getElementById('meeting-mode');
+        if (meetingCheckbox) {
+            meetingCheckbox.checked = this.meetingMode;
+        }
+
+        const status = document.getElementById('alert-status');
+        if (status) {
+            const text = this.describeSuppression();
+            status.querySelector('.alert-status-text').textContent = text;
+            status.classList.toggle('hidden', !text);
+        }
+
+        document.getElementById('resume-alerts-btn')?.classList.toggle('hidden', this.getSuppression() !== 'snoozed');
+    }
+}
+
+// Initialize alert schedule
+window.alertSchedule = new AlertSchedule();
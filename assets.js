@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+
+const MANIFEST_PATH = path.join('vendor', 'manifest.json');
+
+function readManifest(appDir) {
+  return JSON.parse(fs.readFileSync(path.join(appDir, MANIFEST_PATH), 'utf8'));
+}
+
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Check the model folder: model.json, metadata.json and every weights file it references
+function checkModelFolder(appDir, modelDir, report) {
+  const modelPath = path.join(modelDir, 'model.json');
+  const metadataPath = path.join(modelDir, 'metadata.json');
+
+  for (const filePath of [modelPath, metadataPath]) {
+    if (!fs.existsSync(path.join(appDir, filePath))) {
+      report.missing.push({ name: 'Posture model', path: filePath });
+    }
+  }
+
+  if (!fs.existsSync(path.join(appDir, modelPath))) return;
+
+  checkWeightsFiles(appDir, modelPath, 'Posture model', report);
+}
+
+// Check that every weights file a TensorFlow.js model.json references is next to it
+function checkWeightsFiles(appDir, modelPath, name, report) {
+  try {
+    const modelJSON = JSON.parse(fs.readFileSync(path.join(appDir, modelPath), 'utf8'));
+    const manifest = modelJSON.weightsManifest || [];
+    manifest.forEach(group => {
+      (group.paths || []).forEach(weightsFile => {
+        const weightsPath = path.join(path.dirname(modelPath), weightsFile);
+        if (!fs.existsSync(path.join(appDir, weightsPath))) {
+          report.missing.push({ name: `${name} weights`, path: weightsPath });
+        }
+      });
+    });
+  } catch (error) {
+    report.corrupted.push({ name, path: modelPath, reason: error.message });
+  }
+}
+
+// Verify the vendored runtimes and model files that the renderer loads from the app package
+function verifyAssets(appDir, modelDir) {
+  const report = { ok: true, missing: [], corrupted: [] };
+
+  let manifest;
+  try {
+    manifest = readManifest(appDir);
+  } catch (error) {
+    report.ok = false;
+    report.missing.push({ name: 'Vendor manifest', path: MANIFEST_PATH });
+    return report;
+  }
+
+  manifest.runtimes.forEach(runtime => {
+    const filePath = path.join(appDir, runtime.path);
+    if (!fs.existsSync(filePath)) {
+      report.missing.push({ name: runtime.name, path: runtime.path });
+    } else if (sha256File(filePath) !== runtime.sha256) {
+      report.corrupted.push({ name: runtime.name, path: runtime.path, reason: 'checksum mismatch' });
+    }
+  });
+
+  if (modelDir) {
+    checkModelFolder(appDir, modelDir, report);
+  }
+
+  // tmPose fetches PoseNet at load time; requests are served from this copy so the app runs offline
+  const posenetModel = path.join(manifest.posenet.localBase, manifest.posenet.model);
+  if (!fs.existsSync(path.join(appDir, posenetModel))) {
+    report.missing.push({ name: 'PoseNet model', path: posenetModel });
+  } else {
+    checkWeightsFiles(appDir, posenetModel, 'PoseNet model', report);
+  }
+
+  report.ok = report.missing.length === 0 && report.corrupted.length === 0;
+  return report;
+}
+
+// Serve PoseNet weight requests from vendor/posenet when a local copy is bundled
+function redirectPosenetRequests(session, appDir) {
+  let manifest;
+  try {
+    manifest = readManifest(appDir);
+  } catch (error) {
+    console.log('⚠️ Vendor manifest unreadable, PoseNet requests will not be redirected');
+    return;
+  }
+
+  const { remoteBase, localBase } = manifest.posenet;
+  session.webRequest.onBeforeRequest({ urls: [`${remoteBase}*`] }, (details, callback) => {
+    const localPath = path.join(appDir, localBase, details.url.slice(remoteBase.length));
+    if (fs.existsSync(localPath)) {
+      callback({ redirectURL: pathToFileURL(localPath).href });
+    } else {
+      callback({});
+    }
+  });
+}
+
+module.exports = { verifyAssets, checkModelFolder, redirectPosenetRequests };
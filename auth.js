@@ -2,22 +2,55 @@
 class AuthManager {
     constructor() {
         this.currentUser = null;
-        this.users = JSON.parse(localStorage.getItem('postureUsers') || '{}');
-        this.init();
+        this.users = {};
+        this.ready = this.init();
     }
 
-    init() {
-        // Check if user is already logged in
+    async init() {
+        // Set up event listeners
+        this.setupEventListeners();
+
+        try {
+            this.users = await this.loadUsers();
+        } catch (error) {
+            console.error('Error loading user store:', error);
+        }
+
+        // Check if user is already logged in (older versions stored the whole user object)
         const savedUser = localStorage.getItem('currentPostureUser');
-        if (savedUser) {
-            this.currentUser = JSON.parse(savedUser);
+        const savedEmail = savedUser && savedUser.startsWith('{') ? JSON.parse(savedUser).email : savedUser;
+        // Encrypted profiles stay locked until the password is entered again
+        if (savedEmail && this.users[savedEmail] && !this.users[savedEmail].locked) {
+            this.currentUser = this.users[savedEmail];
+            localStorage.setItem('currentPostureUser', savedEmail);
             this.showMainApp();
         } else {
+            localStorage.removeItem('currentPostureUser');
+            if (savedEmail) {
+                document.getElementById('login-email').value = savedEmail;
+            }
             this.showLoginScreen();
         }
+    }
 
-        // Set up event listeners
-        this.setupEventListeners();
+    async loadUsers() {
+        // Move users saved by older versions out of localStorage on first launch
+        const legacyUsers = localStorage.getItem('postureUsers');
+        if (legacyUsers) {
+            const result = await window.electronAPI.importLegacyUsers(JSON.parse(legacyUsers));
+            console.log('Imported users from localStorage:', result);
+            localStorage.removeItem('postureUsers');
+        }
+
+        return window.electronAPI.loadUsers();
+    }
+
+    async persistUser(user) {
+        try {
+            await window.electronAPI.saveUser(user);
+        } catch (error) {
+            console.error('Error saving user data:', error);
+        }
     }
 
     setupEventListeners() {
@@ -57,6 +90,11 @@ class AuthManager {
     showMainApp() {
         document.getElementById('login-screen').classList.add('hidden');
         document.getElementById('main-app').classList.remove('hidden');
+
+        // Apply the signed-in user's preferences
+        if (window.settingsManager) {
+            window.settingsManager.apply();
+        }
     }
 
     async handleLogin() {
@@ -68,19 +106,20 @@ class AuthManager {
             return;
         }
 
-        const user = this.users[email];
-        if (!user || user.password !== this.hashPassword(password)) {
+        const result = await window.electronAPI.login(email, password);
+        if (!result.ok) {
             this.showError('Invalid email or password');
             return;
         }
 
         // Update last login
+        const user = result.user;
         user.lastLogin = new Date().toISOString();
         this.users[email] = user;
-        localStorage.setItem('postureUsers', JSON.stringify(this.users));
+        await this.persistUser(user);
 
         this.currentUser = user;
-        localStorage.setItem('currentPostureUser', JSON.stringify(user));
+        localStorage.setItem('currentPostureUser', email);
 
         this.showSuccess('Login successful!');
         setTimeout(() => this.showMainApp(), 1000);
@@ -90,6 +129,7 @@ class AuthManager {
         const name = document.getElementById('register-name').value.trim();
         const email = document.getElementById('register-email').value.trim();
         const password = document.getElementById('register-password').value;
+        const encryptData = document.getElementById('register-encrypt').checked;
 
         if (!name || !email || !password) {
             this.showError('Please fill in all fields');
@@ -106,11 +146,10 @@ class AuthManager {
             return;
         }
 
-        // Create new user
+        // Create new user (the main process adds the password hash)
         const newUser = {
             name,
             email,
-            password: this.hashPassword(password),
             createdAt: new Date().toISOString(),
             lastLogin: new Date().toISOString(),
             postureData: {
@@ -122,37 +161,43 @@ class AuthManager {
             }
         };
 
-        this.users[email] = newUser;
-        localStorage.setItem('postureUsers', JSON.stringify(this.users));
+        const result = await window.electronAPI.register(newUser, password, encryptData);
+        if (!result.ok) {
+            this.showError(result.error);
+            return;
+        }
 
-        this.currentUser = newUser;
-        localStorage.setItem('currentPostureUser', JSON.stringify(newUser));
+        this.users[email] = result.user;
+        this.currentUser = result.user;
+        localStorage.setItem('currentPostureUser', email);
 
         this.showSuccess('Account created successfully!');
         setTimeout(() => this.showMainApp(), 1000);
     }
 
     handleLogout() {
-        this.currentUser = null;
-        localStorage.removeItem('currentPostureUser');
-        this.showLoginScreen();
-        
-        // Clear any running sessions
+        // Stop any running session first so it is saved while the profile is still unlocked
         if (typeof window.stopCamera === 'function') {
             window.stopCamera();
         }
-    }
+        if (typeof window.cancelPause === 'function') {
+            window.cancelPause();
+        }
+        if (window.alertSchedule) {
+            window.alertSchedule.reset();
+        }
+
+        if (this.currentUser) {
+            window.electronAPI.logout(this.currentUser.email);
+        }
+        this.currentUser = null;
+        localStorage.removeItem('currentPostureUser');
+        this.showLoginScreen();
 
-    hashPassword(password) {
-        // Simple hash function for demo purposes
-        // In production, use proper password hashing
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+        // Monitoring is unavailable until someone signs in again
+        if (typeof window.reportTrayStatus === 'function') {
+            window.reportTrayStatus();
         }
-        return hash.toString();
     }
 
     showError(message) {
@@ -183,13 +228,12 @@ class AuthManager {
     }
 
     updateUserData(data) {
-        if (!this.currentUser) return;
+        if (!this.currentUser) return Promise.resolve();
 
         this.currentUser = { ...this.currentUser, ...data };
         this.users[this.currentUser.email] = this.currentUser;
         
-        localStorage.setItem('postureUsers', JSON.stringify(this.users));
-        localStorage.setItem('currentPostureUser', JSON.stringify(this.currentUser));
+        return this.persistUser(this.currentUser);
     }
 }
 
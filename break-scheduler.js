@@ -0,0 +1,155 @@
+// Break and Stretch Reminders
+class BreakScheduler {
+    constructor() {
+        // Minutes of continuous sitting before a break, and how long the break should last
+        this.plans = {
+            '20-20-20': { work: 20, break: 1 / 3, title: '👀 Eye Break', message: 'Look at something 20 feet away for 20 seconds.' },
+            '50-10': { work: 50, break: 10, title: '🚶 Time for a Break', message: 'You have been sitting for 50 minutes. Stand up, stretch and walk around for 10 minutes.' },
+            custom: { title: '🚶 Time for a Break', message: 'Stand up and stretch for a few minutes.' }
+        };
+        this.skipAfter = 5 * 60 * 1000; // A reminder still unanswered at the desk after this counts as skipped
+
+        this.reset();
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('break-done-btn')?.addEventListener('click', () => this.finishBreak('taken', 'confirmed'));
+        document.getElementById('break-skip-btn')?.addEventListener('click', () => this.finishBreak('skipped', 'dismissed'));
+    }
+
+    reset() {
+        this.running = false;
+        this.sittingSince = null;
+        this.absentSince = null;
+        this.dueAt = null;
+        this.updateStatus();
+    }
+
+    start() {
+        this.reset();
+        this.running = true;
+    }
+
+    stop() {
+        this.reset();
+    }
+
+    // Work and break length in milliseconds for the user's plan, or null when reminders are off
+    getPlan() {
+        const name = window.settingsManager.get('breakPlan');
+        const plan = this.plans[name];
+        if (!plan) return null;
+
+        const work = name === 'custom' ? window.settingsManager.get('breakWorkMinutes') : plan.work;
+        const breakLength = name === 'custom' ? window.settingsManager.get('breakMinutes') : plan.break;
+        return { name, title: plan.title, message: plan.message, work: work * 60 * 1000, break: breakLength * 60 * 1000 };
+    }
+
+    // Called for every frame with the presence state from the presence monitor
+    update({ present, absentSince }) {
+        if (!this.running) return;
+
+        const plan = this.getPlan();
+        if (!plan) {
+            this.sittingSince = null;
+            this.updateStatus();
+            return;
+        }
+
+        const now = Date.now();
+        this.absentSince = absentSince;
+
+        if (!present) {
+            // Away long enough for a real break: the sitting clock starts over on return
+            if (this.sittingSince !== null && now - this.absentSince >= plan.break) {
+                this.finishBreak('taken', 'left desk');
+            }
+            this.updateStatus();
+            return;
+        }
+
+        // Short absences don't count as a break
+        if (this.sittingSince === null) {
+            this.sittingSince = now;
+        }
+
+        if (!this.dueAt && now - this.sittingSince >= plan.work) {
+            this.dueAt = now;
+            this.remind(plan);
+        } else if (this.dueAt && now - this.dueAt >= this.skipAfter) {
+            this.finishBreak('skipped', 'stayed at desk');
+        }
+
+        this.updateStatus();
+    }
+
+    remind(plan) {
+        console.log(`🚶 Break due after ${Math.round((Date.now() - this.sittingSince) / 60000)} minutes of sitting`);
+
+        // Meetings, quiet hours and snoozes hold the notification back; the break card still shows it's due
+        if (window.alertSchedule.getSuppression()) return;
+        sendNotification({ title: plan.title, body: plan.message, kind: 'break' });
+    }
+
+    // Log the break with the session and start a new sitting interval
+    finishBreak(status, reason) {
+        const plan = this.getPlan();
+        if (!this.running || !plan || this.sittingSince === null) return;
+
+        const now = Date.now();
+        const away = this.absentSince !== null ? now - this.absentSince : 0;
+
+        if (window.sessionTracker) {
+            window.sessionTracker.recordBreak({
+                plan: plan.name,
+                status,
+                reason,
+                prompted: this.dueAt !== null,
+                sittingMinutes: Math.round((now - away - this.sittingSince) / 60000)
+            });
+        }
+        console.log(`🚶 Break ${status} (${reason})`);
+
+        this.sittingSince = null;
+        this.dueAt = null;
+        this.updateStatus();
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.round(ms / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    updateStatus() {
+        const status = document.getElementById('break-status');
+        if (!status) return;
+
+        const plan = this.running ? this.getPlan() : null;
+        const text = status.querySelector('.break-status-text');
+        const actions = document.getElementById('break-actions');
+
+        status.classList.toggle('hidden', !plan);
+        actions?.classList.toggle('hidden', !this.dueAt);
+        status.classList.toggle('due', !!this.dueAt);
+        if (!plan) return;
+
+        const now = Date.now();
+        if (this.dueAt) {
+            text.textContent = plan.message;
+        } else if (this.sittingSince === null) {
+            text.textContent = this.absentSince !== null ? 'Away from desk' : 'Waiting for you to sit down';
+        } else {
+            text.textContent = `Next break in ${this.formatDuration(plan.work - (now - this.sittingSince))}`;
+        }
+    }
+}
+
+// Initialize break scheduler
+window.breakScheduler = new BreakScheduler();
@@ -0,0 +1,182 @@
+// Personal Calibration System
+class CalibrationManager {
+    constructor() {
+        this.isRecording = false;
+        this.samples = [];
+        this.recordingDuration = 5000; // Record 5 seconds of keypoints
+        this.countdownSeconds = 3;
+        this.baselineVersion = 2; // Baselines from before the shared metrics module are recaptured
+        this.countdownTimer = null;
+        this.recordingTimer = null;
+
+        // How far a measurement may drift from the baseline before it counts as off
+        this.tolerances = {
+            headDrop: 0.15,     // in shoulder widths
+            shoulderTilt: 6,    // in degrees
+            neckForward: 0.15   // relative growth of head size vs shoulders
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('calibrate-btn')?.addEventListener('click', () => this.showPrompt());
+        document.getElementById('calibration-start-btn')?.addEventListener('click', () => this.startCountdown());
+        document.getElementById('calibration-skip-btn')?.addEventListener('click', () => this.cancel());
+    }
+
+    getBaseline() {
+        const user = window.authManager.getCurrentUser();
+        const baseline = user ? user.calibration : null;
+        return baseline && baseline.version === this.baselineVersion ? baseline : null;
+    }
+
+    hasBaseline() {
+        return !!this.getBaseline();
+    }
+
+    // Guided flow: explain, count down, then record while the user sits correctly
+    showPrompt() {
+        this.cancel();
+        this.setInstructions('Sit up straight in your best comfortable posture, shoulders relaxed and looking at the screen. Click Start and hold still for a few seconds.');
+        document.getElementById('calibration-actions').classList.remove('hidden');
+        document.getElementById('calibration-overlay').classList.remove('hidden');
+    }
+
+    startCountdown() {
+        document.getElementById('calibration-actions').classList.add('hidden');
+
+        let remaining = this.countdownSeconds;
+        this.setInstructions(`Get ready... ${remaining}`);
+
+        this.countdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                this.setInstructions(`Get ready... ${remaining}`);
+            } else {
+                clearInterval(this.countdownTimer);
+                this.countdownTimer = null;
+                this.startRecording();
+            }
+        }, 1000);
+    }
+
+    startRecording() {
+        this.samples = [];
+        this.isRecording = true;
+        this.setInstructions('Hold still... recording your baseline');
+        console.log('📐 Calibration recording started');
+
+        this.recordingTimer = setTimeout(() => this.finishRecording(), this.recordingDuration);
+    }
+
+    // Called from the detection loop with the metrics of every estimated pose
+    addSample(metrics) {
+        if (!this.isRecording) return;
+
+        if (this.isMeasurable(metrics)) {
+            this.samples.push(metrics);
+        }
+    }
+
+    finishRecording() {
+        this.isRecording = false;
+        this.recordingTimer = null;
+
+        if (this.samples.length < 5) {
+            console.log(`📐 Calibration failed: only ${this.samples.length} usable frames`);
+            this.setInstructions('Could not see your head and shoulders clearly. Make sure your upper body is visible and try again.');
+            document.getElementById('calibration-actions').classList.remove('hidden');
+            return;
+        }
+
+        const baseline = {
+            version: this.baselineVersion,
+            earShoulderRatio: this.median(this.samples.map(s => s.earShoulderRatio)),
+            shoulderAngle: this.median(this.samples.map(s => s.shoulderAngle)),
+            headForward: this.median(this.samples.map(s => s.headForward)),
+            samples: this.samples.length,
+            capturedAt: new Date().toISOString()
+        };
+
+        window.authManager.updateUserData({ calibration: baseline });
+        console.log('📐 Calibration baseline saved:', baseline);
+
+        this.setInstructions('✅ Baseline saved! Your posture will now also be compared to it.');
+        setTimeout(() => this.hideOverlay(), 2000);
+    }
+
+    cancel() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+        if (this.recordingTimer) {
+            clearTimeout(this.recordingTimer);
+            this.recordingTimer = null;
+        }
+        this.isRecording = false;
+        this.samples = [];
+        this.hideOverlay();
+    }
+
+    hideOverlay() {
+        document.getElementById('calibration-overlay')?.classList.add('hidden');
+    }
+
+    setInstructions(text) {
+        document.getElementById('calibration-instructions').textContent = text;
+    }
+
+    // Calibration needs the head and shoulder metrics from PostureMetrics
+    isMeasurable(metrics) {
+        return metrics.shoulderAngle !== null && metrics.headForward !== null && metrics.earShoulderRatio !== null;
+    }
+
+    // Compare pose metrics to the user's baseline; null when uncalibrated or not measurable
+    scoreDeviation(current) {
+        const baseline = this.getBaseline();
+        if (!baseline || !this.isMeasurable(current)) return null;
+
+        const deviation = {
+            headDrop: baseline.earShoulderRatio - current.earShoulderRatio,
+            shoulderTilt: Math.abs(current.shoulderAngle - baseline.shoulderAngle),
+            neckForward: current.headForward / baseline.headForward - 1
+        };
+
+        // 1.0 means the worst measurement is exactly at its tolerance
+        deviation.score = Math.max(
+            deviation.headDrop / this.tolerances.headDrop,
+            deviation.shoulderTilt / this.tolerances.shoulderTilt,
+            deviation.neckForward / this.tolerances.neckForward,
+            0
+        );
+        deviation.issue = this.getWorstIssue(deviation);
+
+        return deviation;
+    }
+
+    getWorstIssue(deviation) {
+        if (deviation.score <= 1) return null;
+
+        const ratios = {
+            headDrop: deviation.headDrop / this.tolerances.headDrop,
+            shoulderTilt: deviation.shoulderTilt / this.tolerances.shoulderTilt,
+            neckForward: deviation.neckForward / this.tolerances.neckForward
+        };
+        return Object.keys(ratios).reduce((a, b) => ratios[a] >= ratios[b] ? a : b);
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// Initialize calibration manager
+window.calibrationManager = new CalibrationManager();
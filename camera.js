@@ -0,0 +1,107 @@
+// Camera Device Selection
+class CameraManager {
+    constructor() {
+        this.devices = [];
+        this.listeners = [];
+
+        // Capture resolutions offered in settings; the model always sees a centered square crop
+        this.resolutions = {
+            '640x480': { width: 640, height: 480 },
+            '960x720': { width: 960, height: 720 },
+            '1280x720': { width: 1280, height: 720 },
+            '1920x1080': { width: 1920, height: 1080 }
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('camera-select')?.addEventListener('change', (e) => {
+            window.settingsManager.update({ cameraDeviceId: e.target.value });
+        });
+
+        // Fired when a camera is plugged in or removed, e.g. when docking a laptop
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+
+        // Show the newly logged in user's remembered camera
+        window.settingsManager.onChange(() => this.refreshDevices());
+    }
+
+    // Called with the current device list whenever cameras are connected or disconnected
+    onDeviceChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    async handleDeviceChange() {
+        const devices = await this.refreshDevices();
+        console.log(`📷 Camera devices changed (${devices.length} connected)`);
+        this.listeners.forEach(callback => callback(devices));
+    }
+
+    // Labels are only filled in once camera permission has been granted
+    async refreshDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return this.devices;
+        }
+
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            this.devices = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.error('Error listing cameras:', error);
+        }
+
+        this.populateSelect();
+        return this.devices;
+    }
+
+    populateSelect() {
+        const select = document.getElementById('camera-select');
+        if (!select) return;
+
+        select.innerHTML = '';
+        select.appendChild(new Option('Default camera', ''));
+        this.devices.forEach((device, index) => {
+            select.appendChild(new Option(device.label || `Camera ${index + 1}`, device.deviceId));
+        });
+
+        // A remembered camera that is not connected shows as the default until it returns
+        const preferred = this.getPreferredDeviceId();
+        select.value = this.isAvailable(preferred) ? preferred : '';
+    }
+
+    getPreferredDeviceId() {
+        return window.settingsManager.get('cameraDeviceId');
+    }
+
+    isAvailable(deviceId) {
+        return !!deviceId && this.devices.some(device => device.deviceId === deviceId);
+    }
+
+    // Constraints for tmPose.Webcam.setup(); uses the default camera when the preferred one is missing
+    async getConstraints() {
+        await this.refreshDevices();
+
+        const preferred = this.getPreferredDeviceId();
+        if (!preferred) return {};
+
+        if (!this.isAvailable(preferred)) {
+            console.log('📷 Selected camera is not connected, using the default camera');
+            return {};
+        }
+        return { deviceId: { exact: preferred } };
+    }
+
+    getResolution() {
+        return this.resolutions[window.settingsManager.get('cameraResolution')] || this.resolutions['640x480'];
+    }
+}
+
+// Initialize camera manager
+window.cameraManager = new CameraManager();
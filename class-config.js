@@ -0,0 +1,73 @@
+// Class Configuration for the Loaded Model
+class ClassConfig {
+    constructor() {
+        // Classes the model has no configuration for are shown but never scored or alerted on
+        this.fallback = { polarity: 'neutral', color: null, feedback: null };
+        this.classes = {};
+    }
+
+    /**
+     * Use the class configuration of a newly loaded model, resolved by the model registry
+     * from the model's classes.json and default-classes.json:
+     * { [label]: { polarity ('good' | 'bad' | 'neutral'), color, feedback, thresholds, problemLabel, alertMessages } }
+     */
+    load(classes) {
+        this.classes = classes || {};
+
+        // Per-class hysteresis thresholds for the smoother
+        const thresholds = {};
+        Object.entries(this.classes).forEach(([label, config]) => {
+            if (config.thresholds) thresholds[label] = config.thresholds;
+        });
+        window.postureSmoother.configure({ thresholds });
+
+        console.log('🏷️ Classes:', Object.entries(this.classes).map(([label, config]) => `${label} (${config.polarity})`).join(', '));
+    }
+
+    get(label) {
+        return { ...this.fallback, ...(this.classes[label] || {}) };
+    }
+
+    getPolarity(label) {
+        return this.get(label).polarity;
+    }
+
+    isGood(label) {
+        return this.getPolarity(label) === 'good';
+    }
+
+    isBad(label) {
+        return this.getPolarity(label) === 'bad';
+    }
+
+    getLabels() {
+        return Object.keys(this.classes);
+    }
+
+    getFeedback(label) {
+        return this.get(label).feedback || label;
+    }
+
+    getColor(label) {
+        return this.get(label).color;
+    }
+
+    // Summed probability of every good class, e.g. for the session timeline
+    getGoodProbability(probabilities, classes = this.classes) {
+        return Object.entries(probabilities)
+            .filter(([label]) => classes[label] && classes[label].polarity === 'good')
+            .reduce((sum, [, probability]) => sum + probability, 0);
+    }
+
+    // Saved with each session so its charts stay right after switching to a model with other classes
+    getSessionClasses() {
+        const classes = {};
+        Object.entries(this.classes).forEach(([label, { polarity, color }]) => {
+            classes[label] = { polarity, color };
+        });
+        return classes;
+    }
+}
+
+// Initialize class config
+window.classConfig = new ClassConfig();
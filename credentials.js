@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const KDF_ALGORITHM = 'pbkdf2-sha512';
+const KDF_ITERATIONS = 210000;
+const SALT_BYTES = 16;
+const HASH_BYTES = 64;
+const KEY_BYTES = 32;
+
+// The 32-bit string hash used by earlier versions; only kept to verify and upgrade old accounts
+function legacyHash(password) {
+  let hash = 0;
+  for (let i = 0; i < password.length; i++) {
+    const char = password.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return hash.toString();
+}
+
+function safeEqual(a, b) {
+  // timingSafeEqual throws on length mismatch, so compare digests of equal length
+  const digestA = crypto.createHash('sha256').update(a).digest();
+  const digestB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(digestA, digestB) && a.length === b.length;
+}
+
+// Derive a salted password hash for storage
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await pbkdf2(password, salt, KDF_ITERATIONS, HASH_BYTES, 'sha512');
+  return {
+    algorithm: KDF_ALGORITHM,
+    iterations: KDF_ITERATIONS,
+    salt: salt.toString('base64'),
+    hash: hash.toString('base64')
+  };
+}
+
+// Returns whether the password matches and whether the stored credential should be upgraded
+async function verifyPassword(password, stored) {
+  if (typeof stored === 'string') {
+    return { valid: safeEqual(Buffer.from(legacyHash(password)), Buffer.from(stored)), needsRehash: true };
+  }
+
+  if (!stored || stored.algorithm !== KDF_ALGORITHM) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(stored.hash, 'base64');
+  const actual = await pbkdf2(password, Buffer.from(stored.salt, 'base64'), stored.iterations, expected.length, 'sha512');
+  return {
+    valid: safeEqual(actual, expected),
+    needsRehash: stored.iterations < KDF_ITERATIONS
+  };
+}
+
+// Settings for encrypting a profile at rest; the key itself is never stored
+function createEncryptionSettings() {
+  return {
+    cipher: 'aes-256-gcm',
+    algorithm: KDF_ALGORITHM,
+    iterations: KDF_ITERATIONS,
+    salt: crypto.randomBytes(SALT_BYTES).toString('base64')
+  };
+}
+
+function deriveProfileKey(password, settings) {
+  return pbkdf2(password, Buffer.from(settings.salt, 'base64'), settings.iterations, KEY_BYTES, 'sha512');
+}
+
+function encryptJSON(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptJSON(key, blob) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(blob.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(blob.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(blob.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+// Binary variant for larger payloads: iv, auth tag and ciphertext in one buffer
+function encryptBuffer(key, buffer) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]);
+}
+
+function decryptBuffer(key, buffer) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createEncryptionSettings,
+  deriveProfileKey,
+  encryptJSON,
+  decryptJSON,
+  encryptBuffer,
+  decryptBuffer
+};
@@ -2,7 +2,6 @@
 class DashboardManager {
     constructor() {
         this.canvas = null;
-        this.ctx = null;
         this.init();
     }
 
@@ -13,6 +12,7 @@ class DashboardManager {
     setupEventListeners() {
         document.getElementById('dashboard-btn')?.addEventListener('click', () => this.showDashboard());
         document.getElementById('close-dashboard')?.addEventListener('click', () => this.hideDashboard());
+        document.getElementById('close-session-detail')?.addEventListener('click', () => this.hideSessionDetail());
         
         // Close dashboard when clicking outside
         document.getElementById('dashboard-modal')?.addEventListener('click', (e) => {
@@ -30,6 +30,7 @@ class DashboardManager {
 
     hideDashboard() {
         document.getElementById('dashboard-modal').classList.add('hidden');
+        this.hideSessionDetail();
     }
 
     loadDashboardData() {
@@ -218,10 +219,246 @@ class DashboardManager {
                     </div>
                 </div>
             `;
+            sessionEl.addEventListener('click', () => this.showSessionDetail(session));
             container.appendChild(sessionEl);
         });
     }
 
+    showSessionDetail(session) {
+        const detail = document.getElementById('session-detail');
+        const date = new Date(session.timestamp);
+        const timeline = session.timeline || [];
+
+        document.getElementById('sessions-list').classList.add('hidden');
+        detail.classList.remove('hidden');
+        const awayText = session.awayTime ? ` · ${this.formatClock(session.awayTime)} away` : '';
+        const titleEl = document.getElementById('session-detail-title');
+        titleEl.textContent =
+            `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})} · ${this.formatTime(session.duration)}${awayText} · ${Math.round(session.goodPosturePercentage)}% good posture`;
+        titleEl.title = session.model ? `Model ${session.model.name} (version ${session.model.version})` : '';
+
+        this.renderSessionAlerts(session);
+        this.renderSessionBreaks(session);
+
+        const stretchesContainer = document.getElementById('session-stretches');
+        stretchesContainer.innerHTML = '';
+
+        const canvas = document.getElementById('session-timeline-canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Sessions recorded before timelines were kept only have aggregate counts
+        if (timeline.length === 0) {
+            canvas.classList.add('hidden');
+            stretchesContainer.innerHTML = '<div class="no-sessions">No timeline was recorded for this session.</div>';
+            return;
+        }
+
+        canvas.classList.remove('hidden');
+        const classes = this.getSessionClasses(session);
+        const stretches = this.getBadStretches(timeline, session.timelineInterval || 5, classes);
+        this.drawSessionTimeline(canvas, ctx, session, stretches, classes);
+
+        if (stretches.length === 0) {
+            stretchesContainer.innerHTML = '<div class="no-sessions">No bad posture stretches in this session. 🌟</div>';
+            return;
+        }
+
+        stretches.forEach(stretch => {
+            const startedAt = new Date(date.getTime() + stretch.start * 1000);
+            const stretchEl = document.createElement('div');
+            stretchEl.className = 'stretch-item';
+            stretchEl.innerHTML = `
+                <span class="stretch-time">${startedAt.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit', second: '2-digit'})}</span>
+                <span class="stretch-posture"></span>
+                <span class="stretch-duration">${this.formatClock(stretch.end - stretch.start)}</span>
+            `;
+            stretchEl.querySelector('.stretch-posture').textContent = stretch.posture;
+            stretchesContainer.appendChild(stretchEl);
+        });
+    }
+
+    // Alerts sent during the session and how the user responded to each
+    renderSessionAlerts(session) {
+        const container = document.getElementById('session-alerts');
+        const alerts = session.alerts || [];
+        container.innerHTML = '';
+
+        if (alerts.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+
+        const levelLabels = { nudge: 'Nudge', notification: 'Notification', persistent: 'Persistent' };
+        const responseLabels = {
+            corrected: 'Corrected posture',
+            dismissed: 'Dismissed',
+            snoozed: 'Snoozed',
+            opened: 'Opened app',
+            ignored: 'Ignored',
+            ended: 'Session ended'
+        };
+        const actedOn = alerts.filter(alert => ['corrected', 'dismissed', 'snoozed', 'opened'].includes(alert.response)).length;
+
+        const summary = document.createElement('div');
+        summary.className = 'session-alerts-summary';
+        summary.textContent = `${alerts.length} alert${alerts.length === 1 ? '' : 's'} · ${Math.round((actedOn / alerts.length) * 100)}% acted on`;
+        container.appendChild(summary);
+
+        const startedAt = new Date(session.timestamp).getTime();
+        alerts.forEach(alert => {
+            const alertEl = document.createElement('div');
+            alertEl.className = `stretch-item alert-item ${alert.response || 'ended'}`;
+            alertEl.innerHTML = `
+                <span class="stretch-time">${new Date(startedAt + alert.t * 1000).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit', second: '2-digit'})}</span>
+                <span class="stretch-posture"></span>
+                <span class="stretch-duration">${responseLabels[alert.response] || responseLabels.ended}${alert.respondedAfter !== null && alert.response !== 'ended' ? ` (${alert.respondedAfter}s)` : ''}</span>
+            `;
+            // Problems name classes from the model's metadata, so they are set as text
+            alertEl.querySelector('.stretch-posture').textContent =
+                `${levelLabels[alert.level] || alert.level} · ${window.alertPolicy.describeProblem(alert.problem)}`;
+            container.appendChild(alertEl);
+        });
+    }
+
+    // Breaks taken and skipped during the session
+    renderSessionBreaks(session) {
+        const container = document.getElementById('session-breaks');
+        const breaks = session.breaks || [];
+        container.innerHTML = '';
+
+        if (breaks.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+
+        const taken = breaks.filter(entry => entry.status === 'taken').length;
+        const summary = document.createElement('div');
+        summary.className = 'session-alerts-summary';
+        summary.textContent = `Breaks: ${taken} taken · ${breaks.length - taken} skipped`;
+        container.appendChild(summary);
+
+        const startedAt = new Date(session.timestamp).getTime();
+        breaks.forEach(entry => {
+            const breakEl = document.createElement('div');
+            breakEl.className = `stretch-item break-item ${entry.status}`;
+            breakEl.innerHTML = `
+                <span class="stretch-time">${new Date(startedAt + entry.t * 1000).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit', second: '2-digit'})}</span>
+                <span class="stretch-posture">${entry.status === 'taken' ? 'Break taken' : 'Break skipped'}${entry.prompted ? '' : ' (unprompted)'} · ${entry.reason}</span>
+                <span class="stretch-duration">after ${entry.sittingMinutes} min sitting</span>
+            `;
+            container.appendChild(breakEl);
+        });
+    }
+
+    hideSessionDetail() {
+        document.getElementById('session-detail')?.classList.add('hidden');
+        document.getElementById('sessions-list')?.classList.remove('hidden');
+    }
+
+    formatClock(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = Math.round(totalSeconds % 60);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    // Class polarities a session was recorded with; older sessions only had the two built-in classes
+    getSessionClasses(session) {
+        return session.classes || {
+            'Good posture': { polarity: 'good' },
+            'Bad posture': { polarity: 'bad' }
+        };
+    }
+
+    // Merge consecutive buckets of bad-polarity classes into stretches of bad posture
+    getBadStretches(timeline, interval, classes) {
+        const stretches = [];
+        let current = null;
+
+        timeline.forEach(bucket => {
+            const isBad = classes[bucket.posture]?.polarity === 'bad';
+            if (isBad && current && bucket.t - current.end <= 0) {
+                current.end = bucket.t + interval;
+            } else if (isBad) {
+                current = { start: bucket.t, end: bucket.t + interval, posture: bucket.posture };
+                stretches.push(current);
+            } else {
+                current = null;
+            }
+        });
+
+        return stretches;
+    }
+
+    drawSessionTimeline(canvas, ctx, session, stretches, classes) {
+        const timeline = session.timeline;
+        const interval = session.timelineInterval || 5;
+        const padding = 40;
+        const chartWidth = canvas.width - (padding * 2);
+        const chartHeight = canvas.height - (padding * 2);
+        const awayIntervals = session.awayIntervals || [];
+        const lastAway = awayIntervals.length > 0 ? awayIntervals[awayIntervals.length - 1].end : 0;
+        const totalSeconds = Math.max(timeline[timeline.length - 1].t + interval, lastAway, interval);
+        const xFor = (t) => padding + (t / totalSeconds) * chartWidth;
+        const yFor = (value) => padding + chartHeight - value * chartHeight;
+
+        // Draw background
+        ctx.fillStyle = 'rgba(15, 15, 15, 0.9)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Shade bad posture stretches
+        ctx.fillStyle = 'rgba(255, 71, 87, 0.2)';
+        stretches.forEach(stretch => {
+            ctx.fillRect(xFor(stretch.start), padding, xFor(stretch.end) - xFor(stretch.start), chartHeight);
+        });
+
+        // Shade time away from the desk
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        awayIntervals.forEach(away => {
+            ctx.fillRect(xFor(away.start), padding, xFor(away.end) - xFor(away.start), chartHeight);
+        });
+
+        // Grid lines at 0%, 50% and 100%
+        ctx.strokeStyle = 'rgba(0, 245, 255, 0.1)';
+        ctx.lineWidth = 1;
+        [0, 0.5, 1].forEach(value => {
+            ctx.beginPath();
+            ctx.moveTo(padding, yFor(value));
+            ctx.lineTo(padding + chartWidth, yFor(value));
+            ctx.stroke();
+        });
+
+        // Probability of good posture over the session
+        ctx.strokeStyle = '#00ff7f';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        timeline.forEach((bucket, index) => {
+            const x = xFor(bucket.t + interval / 2);
+            const y = yFor(window.classConfig.getGoodProbability(bucket.probabilities, classes));
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        // Labels
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'right';
+        [0, 0.5, 1].forEach(value => {
+            ctx.fillText(`${value * 100}%`, padding - 8, yFor(value) + 4);
+        });
+
+        ctx.textAlign = 'center';
+        [0, totalSeconds / 2, totalSeconds].forEach(t => {
+            ctx.fillText(this.formatClock(t), xFor(t), padding + chartHeight + 20);
+        });
+    }
+
     getPostureQuality(percentage) {
         if (percentage >= 85) return { class: 'excellent', text: 'Excellent' };
         if (percentage >= 70) return { class: 'good', text: 'Good' };
@@ -231,50 +468,51 @@ class DashboardManager {
 
     initChart() {
         this.canvas = document.getElementById('progress-canvas');
-        this.ctx = this.canvas.getContext('2d');
         this.drawChart();
     }
 
-    drawChart() {
+    // Daily average good posture over the last `days` days; exported reports draw on their own canvas
+    drawChart(canvas = this.canvas, days = 7) {
         const user = window.authManager.getCurrentUser();
         if (!user) return;
 
+        const ctx = canvas.getContext('2d');
         const sessions = user.postureData.sessions || [];
         
-        // Get last 7 days of data
-        const chartData = this.getChartData(sessions);
+        // Get the days of data
+        const chartData = this.getChartData(sessions, days);
         
         // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
         
         // Set up chart dimensions
         const padding = 50;
-        const chartWidth = this.canvas.width - (padding * 2);
-        const chartHeight = this.canvas.height - (padding * 2);
+        const chartWidth = canvas.width - (padding * 2);
+        const chartHeight = canvas.height - (padding * 2);
         
         // Draw background
-        this.ctx.fillStyle = 'rgba(15, 15, 15, 0.9)';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.fillStyle = 'rgba(15, 15, 15, 0.9)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
         
         // Draw grid
-        this.drawGrid(padding, chartWidth, chartHeight);
+        this.drawGrid(ctx, chartData.length - 1, this.getLabelEvery(chartData.length), padding, chartWidth, chartHeight);
         
         // Draw chart line
-        this.drawChartLine(chartData, padding, chartWidth, chartHeight);
+        this.drawChartLine(ctx, chartData, padding, chartWidth, chartHeight);
         
         // Draw data points
-        this.drawDataPoints(chartData, padding, chartWidth, chartHeight);
+        this.drawDataPoints(ctx, chartData, padding, chartWidth, chartHeight);
         
         // Draw labels
-        this.drawLabels(chartData, padding, chartWidth, chartHeight);
+        this.drawLabels(ctx, chartData, padding, chartWidth, chartHeight);
     }
 
-    getChartData(sessions) {
+    getChartData(sessions, days = 7) {
         const data = [];
         const today = new Date();
         
-        // Get last 7 days
-        for (let i = 6; i >= 0; i--) {
+        // Get the last `days` days
+        for (let i = days - 1; i >= 0; i--) {
             const date = new Date(today);
             date.setDate(date.getDate() - i);
             const dateStr = date.toDateString();
@@ -293,7 +531,7 @@ class DashboardManager {
             
             data.push({
                 date: date,
-                label: date.toLocaleDateString([], { weekday: 'short' }),
+                label: this.getDayLabel(date, days),
                 value: avgPosture,
                 sessions: daySessions.length
             });
@@ -302,105 +540,121 @@ class DashboardManager {
         return data;
     }
 
-    drawGrid(padding, chartWidth, chartHeight) {
-        this.ctx.strokeStyle = 'rgba(0, 245, 255, 0.1)';
-        this.ctx.lineWidth = 1;
+    getDayLabel(date, days) {
+        if (days <= 7) return date.toLocaleDateString([], { weekday: 'short' });
+        if (days <= 31) return String(date.getDate());
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+
+    // Label and grid line spacing in days, so that longer spans keep about 15 labels
+    getLabelEvery(days) {
+        return days > 14 ? Math.max(2, Math.ceil(days / 15)) : 1;
+    }
+
+    drawGrid(ctx, steps, every, padding, chartWidth, chartHeight) {
+        ctx.strokeStyle = 'rgba(0, 245, 255, 0.1)';
+        ctx.lineWidth = 1;
         
         // Horizontal grid lines
         for (let i = 0; i <= 5; i++) {
             const y = padding + (chartHeight / 5) * i;
-            this.ctx.beginPath();
-            this.ctx.moveTo(padding, y);
-            this.ctx.lineTo(padding + chartWidth, y);
-            this.ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(padding, y);
+            ctx.lineTo(padding + chartWidth, y);
+            ctx.stroke();
         }
         
         // Vertical grid lines
-        for (let i = 0; i <= 6; i++) {
-            const x = padding + (chartWidth / 6) * i;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, padding);
-            this.ctx.lineTo(x, padding + chartHeight);
-            this.ctx.stroke();
+        for (let i = steps % every; i <= steps; i += every) {
+            const x = padding + (chartWidth / steps) * i;
+            ctx.beginPath();
+            ctx.moveTo(x, padding);
+            ctx.lineTo(x, padding + chartHeight);
+            ctx.stroke();
         }
     }
 
-    drawChartLine(data, padding, chartWidth, chartHeight) {
+    drawChartLine(ctx, data, padding, chartWidth, chartHeight) {
         if (data.length < 2) return;
         
-        this.ctx.strokeStyle = '#00f5ff';
-        this.ctx.lineWidth = 3;
-        this.ctx.beginPath();
+        ctx.strokeStyle = '#00f5ff';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
         
         data.forEach((point, index) => {
-            const x = padding + (chartWidth / 6) * index;
+            const x = padding + (chartWidth / (data.length - 1)) * index;
             const y = padding + chartHeight - (point.value / 100) * chartHeight;
             
             if (index === 0) {
-                this.ctx.moveTo(x, y);
+                ctx.moveTo(x, y);
             } else {
-                this.ctx.lineTo(x, y);
+                ctx.lineTo(x, y);
             }
         });
         
-        this.ctx.stroke();
+        ctx.stroke();
         
         // Add gradient fill
-        this.ctx.lineTo(padding + chartWidth, padding + chartHeight);
-        this.ctx.lineTo(padding, padding + chartHeight);
-        this.ctx.closePath();
+        ctx.lineTo(padding + chartWidth, padding + chartHeight);
+        ctx.lineTo(padding, padding + chartHeight);
+        ctx.closePath();
         
-        const gradient = this.ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
+        const gradient = ctx.createLinearGradient(0, padding, 0, padding + chartHeight);
         gradient.addColorStop(0, 'rgba(0, 245, 255, 0.3)');
         gradient.addColorStop(1, 'rgba(0, 245, 255, 0.05)');
-        this.ctx.fillStyle = gradient;
-        this.ctx.fill();
+        ctx.fillStyle = gradient;
+        ctx.fill();
     }
 
-    drawDataPoints(data, padding, chartWidth, chartHeight) {
+    drawDataPoints(ctx, data, padding, chartWidth, chartHeight) {
+        // Beyond a month the points would run into each other; the line shows the trend
+        if (data.length > 31) return;
+
         data.forEach((point, index) => {
-            const x = padding + (chartWidth / 6) * index;
+            const x = padding + (chartWidth / (data.length - 1)) * index;
             const y = padding + chartHeight - (point.value / 100) * chartHeight;
             
             // Outer glow
-            this.ctx.fillStyle = 'rgba(0, 245, 255, 0.3)';
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 8, 0, Math.PI * 2);
-            this.ctx.fill();
+            ctx.fillStyle = 'rgba(0, 245, 255, 0.3)';
+            ctx.beginPath();
+            ctx.arc(x, y, 8, 0, Math.PI * 2);
+            ctx.fill();
             
             // Inner point
-            this.ctx.fillStyle = '#00f5ff';
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 4, 0, Math.PI * 2);
-            this.ctx.fill();
+            ctx.fillStyle = '#00f5ff';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
             
-            // Value label
-            if (point.value > 0) {
-                this.ctx.fillStyle = '#ffffff';
-                this.ctx.font = '12px Inter';
-                this.ctx.textAlign = 'center';
-                this.ctx.fillText(`${Math.round(point.value)}%`, x, y - 15);
+            // Value label, left out when a month of points would overlap
+            if (point.value > 0 && data.length <= 7) {
+                ctx.fillStyle = '#ffffff';
+                ctx.font = '12px Inter';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${Math.round(point.value)}%`, x, y - 15);
             }
         });
     }
 
-    drawLabels(data, padding, chartWidth, chartHeight) {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = '14px Inter';
-        this.ctx.textAlign = 'center';
+    drawLabels(ctx, data, padding, chartWidth, chartHeight) {
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px Inter';
+        ctx.textAlign = 'center';
         
-        // X-axis labels (days)
+        // X-axis labels (days), every other day for a month and spread out further for longer spans
+        const labelEvery = this.getLabelEvery(data.length);
         data.forEach((point, index) => {
-            const x = padding + (chartWidth / 6) * index;
-            this.ctx.fillText(point.label, x, padding + chartHeight + 30);
+            if ((data.length - 1 - index) % labelEvery !== 0) return;
+            const x = padding + (chartWidth / (data.length - 1)) * index;
+            ctx.fillText(point.label, x, padding + chartHeight + 30);
         });
         
         // Y-axis labels (percentages)
-        this.ctx.textAlign = 'right';
+        ctx.textAlign = 'right';
         for (let i = 0; i <= 5; i++) {
             const y = padding + (chartHeight / 5) * i;
             const value = 100 - (i * 20);
-            this.ctx.fillText(`${value}%`, padding - 10, y + 5);
+            ctx.fillText(`${value}%`, padding - 10, y + 5);
         }
     }
 }
@@ -411,6 +665,8 @@ class SessionTracker {
         this.currentSession = null;
         this.postureReadings = [];
         this.sessionStartTime = null;
+        this.timelineBucketMs = 5000; // Readings are downsampled into 5-second buckets
+        this.confidenceSum = 0;
     }
 
     startSession() {
@@ -420,30 +676,51 @@ class SessionTracker {
             totalReadings: 0,
             goodPostureReadings: 0,
             goodPosturePercentage: 0,
-            confidence: []
+            avgConfidence: 0,
+            timelineInterval: this.timelineBucketMs / 1000,
+            timeline: [],
+            alerts: [],
+            breaks: [],
+            awayIntervals: [], // [{ start, end }] in seconds since session start
+            awayTime: 0,       // seconds away, not counted in duration
+            model: window.modelManager ? window.modelManager.getSessionModel() : null, // { id, name, version, trainedAt }
+            classes: window.classConfig.getSessionClasses() // { [label]: { polarity, color } }
         };
         this.postureReadings = [];
         this.sessionStartTime = Date.now();
+        this.confidenceSum = 0;
+        this.awayStart = null;
         
         console.log('Posture tracking session started');
     }
 
-    addReading(postureClass, confidence) {
+    addReading(postureClass, confidence, probabilities = {}, metrics = null) {
         if (!this.currentSession) {
             console.log('No active session for reading');
             return;
         }
 
+        const timestamp = Date.now();
+
+        // Close the current bucket once a reading falls outside it
+        if (this.postureReadings.length > 0 &&
+            this.getBucketStart(timestamp) !== this.getBucketStart(this.postureReadings[0].timestamp)) {
+            this.flushTimelineBucket();
+        }
+
         this.postureReadings.push({
-            timestamp: Date.now(),
+            timestamp,
             posture: postureClass,
-            confidence: confidence
+            confidence: confidence,
+            probabilities,
+            metrics
         });
 
         this.currentSession.totalReadings++;
-        this.currentSession.confidence.push(confidence);
+        this.confidenceSum += confidence;
+        this.currentSession.avgConfidence = this.confidenceSum / this.currentSession.totalReadings;
 
-        if (postureClass === 'Good posture' && confidence > 0.6) {
+        if (window.decisionPolicy.isGoodPosture(postureClass, confidence)) {
             this.currentSession.goodPostureReadings++;
         }
 
@@ -457,11 +734,107 @@ class SessionTracker {
         }
     }
 
-    endSession() {
+    // Pause while the user is away from the desk; leftAt backdates the pause to when they actually left
+    pauseSession(leftAt = Date.now()) {
+        if (!this.currentSession || this.awayStart !== null) return;
+
+        this.flushTimelineBucket();
+        this.awayStart = Math.max(leftAt, this.sessionStartTime);
+        console.log('Posture tracking session paused (away)');
+    }
+
+    resumeSession(returnedAt = Date.now()) {
+        if (!this.currentSession || this.awayStart === null) return;
+
+        this.currentSession.awayIntervals.push({
+            start: Math.round((this.awayStart - this.sessionStartTime) / 1000),
+            end: Math.round((returnedAt - this.sessionStartTime) / 1000)
+        });
+        this.currentSession.awayTime += Math.round((returnedAt - this.awayStart) / 1000);
+        this.awayStart = null;
+        console.log('Posture tracking session resumed');
+    }
+
+    // Alerts are kept with the session so the dashboard can show how they were answered
+    recordAlert(level, problem) {
+        if (!this.currentSession) return null;
+
+        const record = {
+            t: Math.round((Date.now() - this.sessionStartTime) / 1000), // seconds since session start
+            level,
+            problem,
+            response: null,
+            respondedAfter: null
+        };
+        this.currentSession.alerts.push(record);
+        return record;
+    }
+
+    // Breaks taken or skipped during the session, as reported by the break scheduler
+    recordBreak({ plan, status, reason, prompted, sittingMinutes }) {
+        if (!this.currentSession) return;
+
+        this.currentSession.breaks.push({
+            t: Math.round((Date.now() - this.sessionStartTime) / 1000), // seconds since session start
+            plan,
+            status,
+            reason,
+            prompted,
+            sittingMinutes
+        });
+    }
+
+    getBucketStart(timestamp) {
+        return Math.floor((timestamp - this.sessionStartTime) / this.timelineBucketMs) * this.timelineBucketMs;
+    }
+
+    // Summarise the buffered readings into one timeline entry
+    flushTimelineBucket() {
+        const readings = this.postureReadings;
+        if (readings.length === 0) return;
+
+        const probabilities = {};
+        const classCounts = {};
+        let confidenceTotal = 0;
+
+        readings.forEach(reading => {
+            confidenceTotal += reading.confidence;
+            classCounts[reading.posture] = (classCounts[reading.posture] || 0) + 1;
+            Object.entries(reading.probabilities).forEach(([className, probability]) => {
+                probabilities[className] = (probabilities[className] || 0) + probability;
+            });
+        });
+
+        Object.keys(probabilities).forEach(className => {
+            probabilities[className] = Math.round((probabilities[className] / readings.length) * 1000) / 1000;
+        });
+
+        // Most frequent class in the bucket
+        const posture = Object.keys(classCounts).reduce((a, b) => classCounts[a] >= classCounts[b] ? a : b);
+
+        this.currentSession.timeline.push({
+            t: Math.round(this.getBucketStart(readings[0].timestamp) / 1000), // seconds since session start
+            readings: readings.length,
+            posture,
+            confidence: Math.round((confidenceTotal / readings.length) * 1000) / 1000,
+            probabilities,
+            metrics: window.postureMetrics.average(readings.map(r => r.metrics))
+        });
+
+        this.postureReadings = [];
+    }
+
+    // endedAt lets a session close at an earlier time, e.g. when detection stopped working
+    endSession(endedAt = Date.now()) {
         if (!this.currentSession || !this.sessionStartTime) return;
 
-        // Calculate session duration in minutes
-        this.currentSession.duration = Math.round((Date.now() - this.sessionStartTime) / (1000 * 60));
+        this.flushTimelineBucket();
+        this.resumeSession(endedAt);
+        this.currentSession.avgMetrics = window.postureMetrics.average(this.currentSession.timeline.map(b => b.metrics));
+
+        // Calculate session duration in minutes, leaving out time away from the desk
+        const presentMs = endedAt - this.sessionStartTime - this.currentSession.awayTime * 1000;
+        this.currentSession.duration = Math.round(presentMs / (1000 * 60));
 
         // Only save sessions longer than 1 minute
         if (this.currentSession.duration >= 1) {
@@ -471,6 +844,7 @@ class SessionTracker {
         this.currentSession = null;
         this.postureReadings = [];
         this.sessionStartTime = null;
+        this.awayStart = null;
         
         console.log('Posture tracking session ended and saved');
     }
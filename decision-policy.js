@@ -0,0 +1,91 @@
+// Posture Decision Policy
+class DecisionPolicy {
+    constructor() {
+        this.defaults = {
+            threshold: 0.6,
+            min: 0.3,
+            max: 0.9
+        };
+        this.ratePerSecond = 0.001; // Most the threshold moves per second of confident or unsure readings
+        this.maxGap = 1000;         // Longer gaps between readings, e.g. while paused, count as this long
+        this.saveInterval = 30000;  // Persist the adapted threshold at most every 30 seconds
+        this.lastSaved = 0;
+        this.lastObserved = null;
+        this.owner = null;          // Email of the user whose threshold is loaded; only they are saved to
+
+        this.threshold = this.defaults.threshold;
+        this.min = this.defaults.min;
+        this.max = this.defaults.max;
+    }
+
+    // Restore the current user's adapted threshold and bounds
+    load() {
+        const user = window.authManager.getCurrentUser();
+        const saved = (user && user.decisionPolicy) || {};
+
+        this.min = saved.min ?? this.defaults.min;
+        this.max = saved.max ?? this.defaults.max;
+        this.threshold = this.clamp(saved.threshold ?? this.defaults.threshold);
+        this.owner = user ? user.email : null;
+        this.lastObserved = null;
+
+        console.log(`🎚️ Decision threshold ${Math.round(this.threshold * 100)}% (bounds ${Math.round(this.min * 100)}-${Math.round(this.max * 100)}%)`);
+    }
+
+    // Only writes to the profile the threshold was loaded for, so logging out or switching
+    // users without monitoring can't overwrite a profile with another user's or the default value
+    save() {
+        const user = window.authManager.getCurrentUser();
+        if (!this.owner || !user || user.email !== this.owner) return Promise.resolve();
+
+        this.lastSaved = Date.now();
+        return window.authManager.updateUserData({
+            decisionPolicy: { threshold: this.threshold, min: this.min, max: this.max }
+        });
+    }
+
+    clamp(value) {
+        return Math.min(Math.max(value, this.min), this.max);
+    }
+
+    // Adapt to the smoothed confidence: raise the bar when the model is sure, lower it when it isn't.
+    // The change depends on elapsed time, not on the number of frames, so the frame rate doesn't matter.
+    observe(confidence, now = Date.now()) {
+        const elapsed = this.lastObserved === null ? 0 : Math.min(now - this.lastObserved, this.maxGap);
+        this.lastObserved = now;
+        const change = this.ratePerSecond * elapsed / 1000;
+
+        if (confidence > 0.8) {
+            this.threshold = this.clamp(this.threshold + change);
+        } else if (confidence < 0.5) {
+            this.threshold = this.clamp(this.threshold - change);
+        }
+
+        if (now - this.lastSaved > this.saveInterval) {
+            this.save();
+        }
+    }
+
+    // The single check notifications, session scoring and status text all rely on
+    isConfident(confidence) {
+        return confidence >= this.threshold;
+    }
+
+    // Which classes count as good or bad comes from the loaded model's class configuration
+    isGoodPosture(className, confidence) {
+        return window.classConfig.isGood(className) && this.isConfident(confidence);
+    }
+
+    isBadPosture(className, confidence) {
+        return window.classConfig.isBad(className) && this.isConfident(confidence);
+    }
+
+    describeConfidence(confidence) {
+        if (confidence >= Math.min(this.threshold + 0.1, 1)) return 'High confidence';
+        if (this.isConfident(confidence)) return 'Medium confidence';
+        return 'Low confidence - hold still';
+    }
+}
+
+// Initialize decision policy
+window.decisionPolicy = new DecisionPolicy();
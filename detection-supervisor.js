@@ -0,0 +1,120 @@
+// Detection Loop Supervision and Recovery
+class DetectionSupervisor {
+    constructor() {
+        this.retryDelay = 500;        // First retry after a failed frame (ms), doubled per failure in a row
+        this.maxRetryDelay = 10000;
+        this.webcamRestartEvery = 3;  // Failures in a row before re-creating the webcam
+        this.modelReloadEvery = 6;    // ...and before reloading the model as well
+        this.stallTimeout = 5000;     // Video time not advancing this long means the stream is stuck
+        this.splitAfter = 60000;      // Recovery taking longer than this closes the session
+
+        this.reset();
+    }
+
+    // Start counting for a new monitoring run
+    reset() {
+        this.consecutiveFailures = 0;
+        this.failingSince = null;
+        this.sessionSplit = false;
+        this.lastVideoTime = null;
+        this.lastVideoChangeAt = null;
+        this.counts = { errors: 0, stalls: 0, webcamRestarts: 0, modelReloads: 0, recoveries: 0, splits: 0 };
+        this.updateStatus();
+    }
+
+    // A live stream's currentTime keeps moving; a stuck camera leaves the same frame on screen without any error
+    isStalled(video) {
+        if (!video) return false;
+
+        const now = Date.now();
+        const track = video.srcObject ? video.srcObject.getVideoTracks()[0] : null;
+        if (video.currentTime !== this.lastVideoTime || this.lastVideoChangeAt === null) {
+            this.lastVideoTime = video.currentTime;
+            this.lastVideoChangeAt = now;
+        }
+
+        return (track && track.readyState === 'ended') || now - this.lastVideoChangeAt >= this.stallTimeout;
+    }
+
+    /**
+     * Record a failed or stalled frame and decide how to recover.
+     * kind: 'error' (detectPose threw) or 'stall' (the webcam stopped delivering frames)
+     * Returns { action: 'retry' | 'restart-webcam' | 'reload-model', delay (ms), split (end the session now) }.
+     */
+    recordFailure(kind) {
+        const now = Date.now();
+        this.consecutiveFailures++;
+        if (this.failingSince === null) {
+            this.failingSince = now;
+        }
+        this.counts[kind === 'stall' ? 'stalls' : 'errors']++;
+
+        let action = 'retry';
+        if (this.consecutiveFailures % this.modelReloadEvery === 0) {
+            action = 'reload-model';
+            this.counts.modelReloads++;
+            this.counts.webcamRestarts++;
+        } else if (kind === 'stall' || this.consecutiveFailures % this.webcamRestartEvery === 0) {
+            action = 'restart-webcam';
+            this.counts.webcamRestarts++;
+        }
+
+        // Until detection works again the session would only collect an outage
+        const split = !this.sessionSplit && now - this.failingSince >= this.splitAfter;
+        if (split) {
+            this.sessionSplit = true;
+            this.counts.splits++;
+        }
+
+        // A restarted stream gets a fresh stall timer
+        this.lastVideoChangeAt = null;
+
+        const delay = Math.min(this.retryDelay * 2 ** (this.consecutiveFailures - 1), this.maxRetryDelay);
+        console.log(`🛠️ Detection ${kind} #${this.consecutiveFailures}, ${action} in ${delay}ms`);
+        this.updateStatus();
+        return { action, delay, split };
+    }
+
+    // A frame went through; returns true when the session was closed during recovery and a new one should start
+    recordSuccess() {
+        if (this.consecutiveFailures === 0) return false;
+
+        const restartSession = this.sessionSplit;
+        console.log(`✅ Detection recovered after ${Math.round((Date.now() - this.failingSince) / 1000)}s`);
+        this.counts.recoveries++;
+        this.consecutiveFailures = 0;
+        this.failingSince = null;
+        this.sessionSplit = false;
+        this.updateStatus();
+        return restartSession;
+    }
+
+    // Time detection started failing, used as the end of a session closed during recovery
+    getFailingSince() {
+        return this.failingSince;
+    }
+
+    updateStatus() {
+        const status = document.getElementById('detection-health');
+        if (!status) return;
+
+        const { errors, stalls, webcamRestarts, modelReloads, recoveries } = this.counts;
+        const problems = errors + stalls;
+        status.classList.toggle('hidden', problems === 0);
+        status.classList.toggle('recovering', this.consecutiveFailures > 0);
+        if (problems === 0) return;
+
+        const parts = [`${errors} error${errors === 1 ? '' : 's'}`];
+        if (stalls > 0) parts.push(`${stalls} stall${stalls === 1 ? '' : 's'}`);
+        if (webcamRestarts > 0) parts.push(`${webcamRestarts} camera restart${webcamRestarts === 1 ? '' : 's'}`);
+        if (modelReloads > 0) parts.push(`${modelReloads} model reload${modelReloads === 1 ? '' : 's'}`);
+
+        const state = this.consecutiveFailures > 0
+            ? `Recovering detection (${this.consecutiveFailures} failed in a row)`
+            : `Detection recovered ${recoveries} time${recoveries === 1 ? '' : 's'}`;
+        status.querySelector('.detection-health-text').textContent = `${state} · ${parts.join(', ')}`;
+    }
+}
+
+// Initialize detection supervisor
+window.detectionSupervisor = new DetectionSupervisor();
@@ -0,0 +1,188 @@
+// Scores for one model over labelled frames from the evaluation harness.
+// Each frame: { clip, label, t, predicted (class name or null without a person), probabilities, inferenceMs }
+
+const CALIBRATION_BINS = 10;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function round(value, digits = 3) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+// Rows are the labelled class, columns the predicted class plus frames without a person
+function confusionMatrix(frames, labels) {
+  const matrix = {};
+  labels.forEach(actual => {
+    matrix[actual] = { noPose: 0 };
+    labels.forEach(predicted => { matrix[actual][predicted] = 0; });
+  });
+
+  frames.forEach(frame => {
+    matrix[frame.label][frame.predicted === null ? 'noPose' : frame.predicted]++;
+  });
+  return matrix;
+}
+
+// Precision and recall over frames with a person; frames without one show up in the matrix only.
+// A class that is labelled or predicted but never right scores F1 0; only a class with neither is left out.
+function perClassScores(matrix, labels) {
+  const scores = {};
+  labels.forEach(label => {
+    const truePositives = matrix[label][label];
+    const support = labels.reduce((sum, predicted) => sum + matrix[label][predicted], 0);
+    const predictedCount = labels.reduce((sum, actual) => sum + matrix[actual][label], 0);
+
+    const precision = predictedCount > 0 ? truePositives / predictedCount : null;
+    const recall = support > 0 ? truePositives / support : null;
+    let f1 = null;
+    if (truePositives > 0) {
+      f1 = 2 * precision * recall / (precision + recall);
+    } else if (support > 0 || predictedCount > 0) {
+      f1 = 0;
+    }
+    scores[label] = { support, precision, recall, f1 };
+  });
+  return scores;
+}
+
+function latency(frames) {
+  const times = frames.map(frame => frame.inferenceMs).sort((a, b) => a - b);
+  if (times.length === 0) return { meanMs: null, p50Ms: null, p95Ms: null, maxMs: null };
+
+  return {
+    meanMs: round(times.reduce((sum, ms) => sum + ms, 0) / times.length, 1),
+    p50Ms: round(percentile(times, 0.5), 1),
+    p95Ms: round(percentile(times, 0.95), 1),
+    maxMs: round(times[times.length - 1], 1)
+  };
+}
+
+// How well the top probability matches how often the model is right:
+// expected calibration error over equal-width confidence bins, and the multi-class Brier score
+function calibration(frames, labels) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, index) => ({
+    from: index / CALIBRATION_BINS,
+    to: (index + 1) / CALIBRATION_BINS,
+    count: 0,
+    confidence: 0,
+    accuracy: 0
+  }));
+  let brier = 0;
+
+  frames.forEach(frame => {
+    const confidence = frame.probabilities[frame.predicted] || 0;
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(confidence * CALIBRATION_BINS))];
+    bin.count++;
+    bin.confidence += confidence;
+    bin.accuracy += frame.predicted === frame.label ? 1 : 0;
+
+    labels.forEach(label => {
+      const target = label === frame.label ? 1 : 0;
+      brier += Math.pow((frame.probabilities[label] || 0) - target, 2);
+    });
+  });
+
+  let ece = 0;
+  bins.forEach(bin => {
+    if (bin.count === 0) return;
+    bin.confidence /= bin.count;
+    bin.accuracy /= bin.count;
+    ece += (bin.count / frames.length) * Math.abs(bin.accuracy - bin.confidence);
+    bin.confidence = round(bin.confidence);
+    bin.accuracy = round(bin.accuracy);
+  });
+
+  return {
+    ece: frames.length > 0 ? round(ece) : null,
+    brier: frames.length > 0 ? round(brier / frames.length) : null,
+    bins: bins.filter(bin => bin.count > 0)
+  };
+}
+
+// Full report for one model; frames labelled with a class the model doesn't know are counted but not scored
+function summarize(frames, labels) {
+  const known = frames.filter(frame => labels.includes(frame.label));
+  const scored = known.filter(frame => frame.predicted !== null);
+  const matrix = confusionMatrix(known, labels);
+  const scores = perClassScores(matrix, labels);
+  const f1s = Object.values(scores).map(score => score.f1).filter(f1 => f1 !== null);
+  const perClass = {};
+  Object.entries(scores).forEach(([label, { support, precision, recall, f1 }]) => {
+    perClass[label] = { support, precision: round(precision), recall: round(recall), f1: round(f1) };
+  });
+  const correct = scored.filter(frame => frame.predicted === frame.label).length;
+
+  return {
+    frames: frames.length,
+    scored: scored.length,
+    noPose: known.length - scored.length,
+    unknownLabels: [...new Set(frames.filter(frame => !labels.includes(frame.label)).map(frame => frame.label))],
+    accuracy: scored.length > 0 ? round(correct / scored.length) : null,
+    macroF1: f1s.length > 0 ? round(f1s.reduce((sum, f1) => sum + f1, 0) / f1s.length) : null,
+    confusion: matrix,
+    perClass,
+    latency: latency(known),
+    calibration: calibration(scored, labels)
+  };
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+// Plain text report for the terminal: one section per model, then a side-by-side comparison
+function formatReport(results) {
+  const lines = [];
+
+  results.forEach(result => {
+    lines.push('', `== ${result.model.id} (version ${result.model.version || '-'}) ==`);
+    if (result.error) {
+      lines.push(`Failed: ${result.error}`);
+      return;
+    }
+
+    const { summary } = result;
+    const labels = Object.keys(summary.perClass);
+    lines.push(`Frames: ${summary.frames}, scored ${summary.scored}, no person ${summary.noPose}`);
+    if (summary.unknownLabels.length > 0) {
+      lines.push(`Not scored, unknown to this model: ${summary.unknownLabels.join(', ')}`);
+    }
+    lines.push(`Accuracy: ${formatPercent(summary.accuracy)}, macro F1: ${formatPercent(summary.macroF1)}`);
+
+    lines.push('', 'Confusion matrix (rows: labelled, columns: predicted)');
+    const width = Math.max(...labels.map(label => label.length), 'no person'.length) + 2;
+    lines.push(''.padEnd(width) + [...labels, 'no person'].map(label => label.padStart(width)).join(''));
+    labels.forEach(actual => {
+      const row = [...labels, 'noPose'].map(predicted => String(summary.confusion[actual][predicted]).padStart(width));
+      lines.push(actual.padEnd(width) + row.join(''));
+    });
+
+    lines.push('', 'Per class');
+    labels.forEach(label => {
+      const { support, precision, recall, f1 } = summary.perClass[label];
+      lines.push(`  ${label.padEnd(width)} precision ${formatPercent(precision)}, recall ${formatPercent(recall)}, F1 ${formatPercent(f1)}, ${support} frames`);
+    });
+
+    const { meanMs, p50Ms, p95Ms, maxMs } = summary.latency;
+    lines.push('', `Latency: mean ${meanMs}ms, p50 ${p50Ms}ms, p95 ${p95Ms}ms, max ${maxMs}ms`);
+    lines.push(`Calibration: ECE ${summary.calibration.ece}, Brier ${summary.calibration.brier}`);
+    summary.calibration.bins.forEach(bin => {
+      lines.push(`  confidence ${bin.from.toFixed(1)}-${bin.to.toFixed(1)}: ${bin.count} frames, mean confidence ${formatPercent(bin.confidence)}, accuracy ${formatPercent(bin.accuracy)}`);
+    });
+  });
+
+  const compared = results.filter(result => !result.error);
+  if (compared.length > 1) {
+    lines.push('', '== Comparison ==');
+    compared.forEach(({ model, summary }) => {
+      lines.push(`  ${model.id.padEnd(24)} accuracy ${formatPercent(summary.accuracy)}, macro F1 ${formatPercent(summary.macroF1)}, ECE ${summary.calibration.ece}, p95 ${summary.latency.p95Ms}ms`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { summarize, formatReport };
@@ -0,0 +1,13 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Preload for the hidden evaluation window started by `--evaluate`
+contextBridge.exposeInMainWorld('evaluationAPI', {
+  getJob: () => ipcRenderer.invoke('evaluation-job'),
+  reportProgress: (progress) => ipcRenderer.send('evaluation-progress', progress),
+  sendResults: (results) => ipcRenderer.invoke('evaluation-results', results)
+});
+
+// Port to the hidden inference window, handed to the page like in the app's own preload
+ipcRenderer.on('inference-port', (event) => {
+  window.postMessage('inference-port', '*', event.ports);
+});
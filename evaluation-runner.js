@@ -0,0 +1,116 @@
+// Clip Decoding for the Evaluation Harness
+class EvaluationRunner {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.init();
+    }
+
+    async init() {
+        const job = await window.evaluationAPI.getJob();
+        const results = [];
+
+        for (const model of job.models) {
+            try {
+                await window.inferenceClient.load(model.url);
+                results.push({ id: model.id, frames: await this.classifyClips(model, job) });
+            } catch (error) {
+                console.error(`Evaluation of ${model.id} failed:`, error);
+                results.push({ id: model.id, error: error.message });
+            }
+        }
+
+        await window.evaluationAPI.sendResults(results);
+    }
+
+    async classifyClips(model, job) {
+        const frames = [];
+
+        for (const [index, clip] of job.clips.entries()) {
+            window.evaluationAPI.reportProgress({ model: model.id, clip: `${clip.label}/${clip.name}`, index: index + 1, total: job.clips.length });
+
+            const classify = async (source, t) => {
+                this.drawFrame(source, job.size, job.flip);
+                const { prediction, inferenceMs } = await window.inferenceClient.estimate(this.canvas);
+                frames.push(this.toFrame(clip, t, prediction, inferenceMs));
+            };
+
+            if (clip.type === 'video') {
+                await this.forEachVideoFrame(clip.url, job.fps, classify);
+            } else {
+                for (const [frameIndex, url] of clip.frames.entries()) {
+                    const image = new Image();
+                    image.src = url;
+                    await image.decode();
+                    await classify(image, frameIndex);
+                }
+            }
+        }
+
+        return frames;
+    }
+
+    // Seek through the video at the given rate; `t` is the time in seconds
+    async forEachVideoFrame(url, fps, callback) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.src = url;
+        await new Promise((resolve, reject) => {
+            video.onloadedmetadata = resolve;
+            video.onerror = () => reject(new Error(`Cannot decode ${url}`));
+        });
+
+        // Recordings made with MediaRecorder have no duration until the end has been seeked to
+        if (!Number.isFinite(video.duration)) {
+            await this.seek(video, Number.MAX_SAFE_INTEGER);
+        }
+
+        const duration = video.duration;
+        for (let t = 0; t < duration; t += 1 / fps) {
+            await this.seek(video, t);
+            await callback(video, Number(t.toFixed(3)));
+        }
+        video.removeAttribute('src');
+        video.load();
+    }
+
+    seek(video, time) {
+        return new Promise(resolve => {
+            video.onseeked = resolve;
+            video.currentTime = time;
+        });
+    }
+
+    // Center square crop, scaled and mirrored the way tmPose.Webcam prepares camera frames
+    drawFrame(source, size, flip) {
+        const width = source.videoWidth || source.naturalWidth;
+        const height = source.videoHeight || source.naturalHeight;
+        const side = Math.min(width, height);
+
+        this.canvas.width = size;
+        this.canvas.height = size;
+        this.ctx.save();
+        if (flip) {
+            this.ctx.translate(size, 0);
+            this.ctx.scale(-1, 1);
+        }
+        this.ctx.drawImage(source, (width - side) / 2, (height - side) / 2, side, side, 0, 0, size, size);
+        this.ctx.restore();
+    }
+
+    toFrame(clip, t, prediction, inferenceMs) {
+        const probabilities = {};
+        let predicted = null;
+
+        // No prediction means PoseNet found no person in the frame
+        if (prediction) {
+            prediction.forEach(({ className, probability }) => { probabilities[className] = probability; });
+            predicted = prediction.reduce((best, p) => (p.probability > best.probability ? p : best)).className;
+        }
+
+        return { clip: `${clip.label}/${clip.name}`, label: clip.label, t, predicted, probabilities, inferenceMs };
+    }
+}
+
+// Initialize evaluation runner
+window.evaluationRunner = new EvaluationRunner();
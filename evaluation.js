@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { BrowserWindow, ipcMain } = require('electron');
+const { summarize, formatReport } = require('./evaluation-metrics');
+
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov', '.mkv', '.ogv'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp', '.webp'];
+
+const hasExtension = (file, extensions) => extensions.includes(path.extname(file).toLowerCase());
+
+/**
+ * Options for `electron . --evaluate <clips folder>`, or null when the app starts normally.
+ * --model <id or folder> (repeatable), --fps <frames per second of video>, --size <frame size>,
+ * --no-flip, --out <report.json>, --cpu
+ */
+function parseEvaluationArgs(argv) {
+  const start = argv.indexOf('--evaluate');
+  if (start === -1) return null;
+
+  const options = { clipsDir: argv[start + 1], models: [], fps: 5, size: 700, flip: true, out: null, cpu: false };
+  for (let i = start + 2; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--model': options.models.push(argv[++i]); break;
+      case '--fps': options.fps = Number(argv[++i]); break;
+      case '--size': options.size = Number(argv[++i]); break;
+      case '--no-flip': options.flip = false; break;
+      case '--out': options.out = argv[++i]; break;
+      case '--cpu': options.cpu = true; break;
+    }
+  }
+  return options;
+}
+
+// Runs models over labelled recordings with the app's own inference window, for comparing models offline.
+// Clips live in one folder per class: <clips>/<label>/<clip>.mp4, or <clips>/<label>/<clip>/ holding
+// an image sequence. Images directly in a label folder form one sequence.
+class Evaluation {
+  constructor(appDir, registry, inferenceHost) {
+    this.appDir = appDir;
+    this.registry = registry;
+    this.inferenceHost = inferenceHost;
+  }
+
+  findClips(clipsDir) {
+    const clips = [];
+    const images = (dir) => fs.readdirSync(dir)
+      .filter(file => hasExtension(file, IMAGE_EXTENSIONS))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(file => pathToFileURL(path.join(dir, file)).href);
+
+    fs.readdirSync(clipsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(({ name: label }) => {
+        const labelDir = path.join(clipsDir, label);
+        const loose = images(labelDir);
+        if (loose.length > 0) {
+          clips.push({ label, name: label, type: 'images', frames: loose });
+        }
+
+        fs.readdirSync(labelDir, { withFileTypes: true }).forEach(entry => {
+          const clipPath = path.join(labelDir, entry.name);
+          if (entry.isFile() && hasExtension(entry.name, VIDEO_EXTENSIONS)) {
+            clips.push({ label, name: entry.name, type: 'video', url: pathToFileURL(clipPath).href });
+          } else if (entry.isDirectory()) {
+            const frames = images(clipPath);
+            if (frames.length > 0) {
+              clips.push({ label, name: entry.name, type: 'images', frames });
+            }
+          }
+        });
+      });
+
+    return clips;
+  }
+
+  // Registry ids, or paths to model folders that aren't in the registry
+  resolveModels(requested) {
+    this.registry.discover();
+    const ids = requested.length > 0 ? requested : ['terrahacksmodel'];
+
+    return ids.map(id => {
+      const known = this.registry.get(id);
+      if (known) return known;
+
+      const dir = path.resolve(id);
+      if (fs.existsSync(path.join(dir, 'metadata.json'))) {
+        return this.registry.describe(path.dirname(dir), path.basename(dir), 'external');
+      }
+      return { id, version: null, valid: false, problems: ['not found'] };
+    });
+  }
+
+  // Decode and classify every clip with each model in a hidden window; resolves to [{ id, frames, error }]
+  async classify(job) {
+    const window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        backgroundThrottling: false,
+        preload: path.join(this.appDir, 'evaluation-preload.js')
+      }
+    });
+
+    const done = new Promise(resolve => {
+      ipcMain.handle('evaluation-job', () => job);
+      ipcMain.on('evaluation-progress', (event, { model, clip, index, total }) => {
+        console.log(`📼 ${model}: ${clip} (${index}/${total})`);
+      });
+      ipcMain.handle('evaluation-results', (event, results) => resolve(results));
+    });
+
+    try {
+      await window.loadFile(path.join(this.appDir, 'evaluation.html'));
+      await this.inferenceHost.connect(window.webContents);
+      return await done;
+    } finally {
+      ipcMain.removeHandler('evaluation-job');
+      ipcMain.removeHandler('evaluation-results');
+      ipcMain.removeAllListeners('evaluation-progress');
+      window.destroy();
+    }
+  }
+
+  // Print the report and write it as JSON if asked; resolves to the process exit code
+  async run({ clipsDir, models, fps, size, flip, out }) {
+    if (!clipsDir || !fs.existsSync(clipsDir)) {
+      console.error(`❌ Clips folder not found: ${clipsDir}`);
+      return 1;
+    }
+
+    const clips = this.findClips(path.resolve(clipsDir));
+    if (clips.length === 0) {
+      console.error(`❌ No clips in ${clipsDir}. Expected <label>/<clip>.mp4 or <label>/<clip>/<frames>.png`);
+      return 1;
+    }
+
+    const candidates = this.resolveModels(models);
+    const usable = candidates.filter(model => model.valid);
+    console.log(`📼 Evaluating ${usable.length} model(s) on ${clips.length} clip(s) at ${fps} fps`);
+
+    const outputs = usable.length > 0
+      ? await this.classify({ clips, fps, size, flip, models: usable.map(({ id, url }) => ({ id, url })) })
+      : [];
+
+    const results = candidates.map(model => {
+      const entry = { model: { id: model.id, name: model.name, version: model.version, labels: model.labels } };
+      if (!model.valid) return { ...entry, error: `unusable model: ${model.problems.join(', ')}` };
+
+      const output = outputs.find(o => o.id === model.id);
+      if (output.error) return { ...entry, error: output.error };
+      return { ...entry, summary: summarize(output.frames, model.labels) };
+    });
+
+    console.log(formatReport(results));
+    if (out) {
+      const report = { createdAt: new Date().toISOString(), clipsDir: path.resolve(clipsDir), fps, size, flip, clips: clips.length, results };
+      fs.writeFileSync(out, JSON.stringify(report, null, 2));
+      console.log(`\n📼 Report written to ${out}`);
+    }
+
+    return results.some(result => result.error) ? 1 : 0;
+  }
+}
+
+module.exports = { Evaluation, parseEvaluationArgs };
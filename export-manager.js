@@ -0,0 +1,257 @@
+// Session History Export
+class ExportManager {
+    constructor() {
+        this.periods = {
+            week: { days: 7, title: 'Weekly posture report' },
+            month: { days: 30, title: 'Monthly posture report' },
+            all: { days: null, title: 'Posture report' }
+        };
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('export-csv')?.addEventListener('click', () => this.exportCSV());
+        document.getElementById('export-json')?.addEventListener('click', () => this.exportJSON());
+        document.getElementById('export-pdf')?.addEventListener('click', () => this.exportReport());
+    }
+
+    getPeriod() {
+        const select = document.getElementById('export-period');
+        return (select && select.value) || 'week';
+    }
+
+    // First day of the chosen period: the last `days` calendar days including today, or from the first session
+    getPeriodStart(period, sessions) {
+        const { days } = this.periods[period];
+        const start = days || sessions.length === 0 ? new Date() : new Date(sessions[0].timestamp);
+        start.setHours(0, 0, 0, 0);
+        if (days) {
+            start.setDate(start.getDate() - (days - 1));
+        }
+        return start;
+    }
+
+    // Sessions of the chosen period, oldest first; null when there is nothing to export
+    getSessions(period) {
+        const user = window.authManager.getCurrentUser();
+        if (!user || !user.postureData) return null;
+
+        const sessions = user.postureData.sessions || [];
+        const since = this.getPeriodStart(period, sessions).getTime();
+        return sessions.filter(session => new Date(session.timestamp).getTime() >= since);
+    }
+
+    fileName(period, extension) {
+        return `posture-sessions-${period}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    showStatus(text) {
+        const status = document.getElementById('export-status');
+        if (!status) return;
+
+        status.textContent = text;
+        status.classList.remove('hidden');
+    }
+
+    // Totals for a set of sessions, weighting good posture by session length
+    summarize(sessions) {
+        const minutes = sessions.reduce((sum, s) => sum + s.duration, 0);
+        const alerts = sessions.flatMap(s => s.alerts || []);
+        const breaks = sessions.flatMap(s => s.breaks || []);
+        const answered = ['dismissed', 'snoozed', 'opened', 'corrected'];
+
+        return {
+            sessions: sessions.length,
+            minutes,
+            avgGoodPosture: minutes > 0 ? sessions.reduce((sum, s) => sum + s.goodPosturePercentage * s.duration, 0) / minutes : 0,
+            alerts: alerts.length,
+            alertsAnswered: alerts.filter(alert => answered.includes(alert.response)).length,
+            breaksTaken: breaks.filter(entry => entry.status === 'taken').length,
+            breaksSkipped: breaks.filter(entry => entry.status !== 'taken').length
+        };
+    }
+
+    csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // One row per session with its aggregate numbers; timelines are only in the JSON export
+    toCSV(sessions) {
+        const header = ['start', 'duration_min', 'away_min', 'good_posture_pct', 'avg_confidence', 'readings', 'alerts', 'breaks_taken', 'breaks_skipped', 'model', 'model_version'];
+        const rows = sessions.map(session => {
+            const breaks = session.breaks || [];
+            const taken = breaks.filter(entry => entry.status === 'taken').length;
+            return [
+                session.timestamp,
+                session.duration,
+                Math.round((session.awayTime || 0) / 60),
+                session.goodPosturePercentage.toFixed(1),
+                (session.avgConfidence || 0).toFixed(3),
+                session.totalReadings,
+                (session.alerts || []).length,
+                taken,
+                breaks.length - taken,
+                session.model ? session.model.id : '',
+                session.model ? session.model.version : ''
+            ];
+        });
+        return [header, ...rows].map(row => row.map(value => this.csvField(value)).join(',')).join('\n') + '\n';
+    }
+
+    async save(period, format, content) {
+        if (!window.electronAPI || !window.electronAPI.exportSessions) return;
+
+        try {
+            const result = await window.electronAPI.exportSessions({
+                defaultName: this.fileName(period, format),
+                content,
+                format
+            });
+            if (result.saved) {
+                this.showStatus(`Saved to ${result.path}`);
+            }
+        } catch (error) {
+            console.error('Error exporting sessions:', error);
+            this.showStatus(`Export failed: ${error.message}`);
+        }
+    }
+
+    exportCSV() {
+        const period = this.getPeriod();
+        const sessions = this.getSessions(period);
+        if (!sessions) return;
+
+        this.save(period, 'csv', this.toCSV(sessions));
+    }
+
+    // Complete sessions including timelines, alerts and breaks
+    exportJSON() {
+        const period = this.getPeriod();
+        const sessions = this.getSessions(period);
+        if (!sessions) return;
+
+        const user = window.authManager.getCurrentUser();
+        const content = JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            name: user.name,
+            period,
+            summary: this.summarize(sessions),
+            sessions
+        }, null, 2);
+        this.save(period, 'json', content);
+    }
+
+    // Calendar days from `date` through today, both included
+    daysSince(date) {
+        const start = new Date(date);
+        const today = new Date();
+        start.setHours(0, 0, 0, 0);
+        today.setHours(0, 0, 0, 0);
+        return Math.round((today - start) / (24 * 60 * 60 * 1000)) + 1;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    }
+
+    // Self-contained printable page: summary, the dashboard chart as an image, insights and a session table
+    buildReport(period, sessions) {
+        const user = window.authManager.getCurrentUser();
+        const { title } = this.periods[period];
+        const summary = this.summarize(sessions);
+        const dashboard = window.dashboardManager;
+        const insights = dashboard.generateInsights({ sessions, avgGoodPosture: summary.avgGoodPosture });
+
+        // The chart covers every day of the period, and at least a week
+        const start = this.getPeriodStart(period, sessions);
+        const chart = document.createElement('canvas');
+        chart.width = 700;
+        chart.height = 300;
+        dashboard.drawChart(chart, Math.max(7, this.daysSince(start)));
+
+        const range = `${start.toLocaleDateString()} – ${new Date().toLocaleDateString()}`;
+        const stats = [
+            ['Sessions', summary.sessions],
+            ['Time monitored', dashboard.formatTime(summary.minutes)],
+            ['Good posture', `${Math.round(summary.avgGoodPosture)}%`],
+            ['Alerts answered', `${summary.alertsAnswered} of ${summary.alerts}`],
+            ['Breaks taken', `${summary.breaksTaken} of ${summary.breaksTaken + summary.breaksSkipped}`]
+        ];
+        const rows = sessions.map(session => `
+            <tr>
+                <td>${this.escapeHtml(new Date(session.timestamp).toLocaleString())}</td>
+                <td>${this.escapeHtml(dashboard.formatTime(session.duration))}</td>
+                <td>${Math.round(session.goodPosturePercentage)}%</td>
+                <td>${(session.alerts || []).length}</td>
+                <td>${(session.breaks || []).filter(entry => entry.status === 'taken').length}</td>
+            </tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 32px; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    h2 { margin: 28px 0 10px; font-size: 17px; }
+    .meta { color: #666; margin: 0; }
+    .stats { display: flex; gap: 12px; margin-top: 20px; }
+    .stat { flex: 1; border: 1px solid #ddd; border-radius: 8px; padding: 10px; }
+    .stat-value { font-size: 20px; font-weight: 700; }
+    .stat-label { color: #666; font-size: 12px; }
+    .chart { width: 100%; border-radius: 8px; }
+    .insight { margin-bottom: 8px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+    tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+    <h1>${this.escapeHtml(title)}</h1>
+    <p class="meta">${this.escapeHtml(user.name || user.email)} · ${this.escapeHtml(range)}</p>
+    <div class="stats">
+        ${stats.map(([label, value]) => `<div class="stat"><div class="stat-value">${this.escapeHtml(value)}</div><div class="stat-label">${label}</div></div>`).join('')}
+    </div>
+
+    <h2>Daily good posture</h2>
+    <img class="chart" src="${chart.toDataURL('image/png')}" alt="Daily good posture">
+
+    <h2>Insights</h2>
+    ${insights.map(insight => `<div class="insight">${insight.icon} <strong>${this.escapeHtml(insight.title)}</strong> — ${this.escapeHtml(insight.description)}</div>`).join('')}
+
+    <h2>Sessions</h2>
+    ${sessions.length > 0 ? `<table>
+        <tr><th>Started</th><th>Duration</th><th>Good posture</th><th>Alerts</th><th>Breaks</th></tr>
+        ${rows}
+    </table>` : '<p class="meta">No sessions in this period.</p>'}
+</body>
+</html>`;
+    }
+
+    async exportReport() {
+        const period = this.getPeriod();
+        const sessions = this.getSessions(period);
+        if (!sessions || !window.electronAPI || !window.electronAPI.exportReport) return;
+
+        try {
+            this.showStatus('Preparing report...');
+            const result = await window.electronAPI.exportReport({
+                defaultName: this.fileName(period, 'pdf'),
+                html: this.buildReport(period, sessions)
+            });
+            this.showStatus(result.saved ? `Saved to ${result.path}` : '');
+        } catch (error) {
+            console.error('Error exporting report:', error);
+            this.showStatus(`Report failed: ${error.message}`);
+        }
+    }
+}
+
+// Initialize export manager
+window.exportManager = new ExportManager();
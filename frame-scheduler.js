@@ -0,0 +1,106 @@
+// Adaptive Frame Rate for the Detection Loop
+class FrameScheduler {
+    constructor() {
+        this.maxInterval = 2000;       // Slowest rate while monitoring (ms between frames)
+        this.stableAfter = 10000;      // Posture and movement unchanged this long counts as stable
+        this.stableFactor = 3;         // Slow down this much while posture is stable
+        this.batteryFactor = 2;        // ...and this much on battery power
+        this.movementThreshold = 0.3;  // Raw vs. smoothed probability gap that counts as movement
+        this.inferenceAlpha = 0.2;     // EMA weight of the newest inference time
+
+        this.onBattery = false;
+        this.reset();
+        this.init();
+    }
+
+    init() {
+        if (window.electronAPI && window.electronAPI.getPowerState) {
+            window.electronAPI.getPowerState().then(state => this.setPowerState(state));
+            window.electronAPI.onPowerStateChange((event, state) => this.setPowerState(state));
+        }
+    }
+
+    reset() {
+        this.avgInference = null;
+        this.lastChangeAt = Date.now();
+        this.interval = null;
+        this.mode = 'full';
+    }
+
+    setPowerState({ onBattery }) {
+        this.onBattery = onBattery;
+        console.log(`🔋 Running on ${onBattery ? 'battery' : 'AC power'}`);
+    }
+
+    // Time spent on PoseNet and the classifier for one frame
+    recordInference(ms) {
+        this.avgInference = this.avgInference === null
+            ? ms
+            : this.inferenceAlpha * ms + (1 - this.inferenceAlpha) * this.avgInference;
+    }
+
+    // Posture state changes and sudden movement bring the loop back to full rate
+    observe(smoothed, prediction) {
+        const movement = prediction.some(({ className, probability }) =>
+            Math.abs(probability - (smoothed.probabilities[className] || 0)) > this.movementThreshold);
+
+        if (smoothed.changed || movement) {
+            this.lastChangeAt = Date.now();
+        }
+    }
+
+    // Shortest delay between frames that keeps inference within the CPU budget
+    getBudgetInterval() {
+        if (this.avgInference === null) return 0;
+
+        // Inference takes avgInference out of every (avgInference + delay) ms
+        const budget = window.settingsManager.get('cpuBudget') / 100;
+        return this.avgInference * (1 / budget - 1);
+    }
+
+    // Delay before the next frame; the CPU budget wins over every other limit, including maxInterval
+    getInterval() {
+        let interval = window.settingsManager.get('frameInterval');
+        this.mode = 'full';
+
+        if (window.settingsManager.get('adaptiveFrameRate')) {
+            // Right after a posture change or movement, stay at full rate to catch the transition
+            if (Date.now() - this.lastChangeAt >= this.stableAfter) {
+                interval *= this.stableFactor;
+                this.mode = 'stable';
+            }
+
+            if (this.onBattery) {
+                interval *= this.batteryFactor;
+                this.mode += ', battery';
+            }
+        }
+
+        interval = Math.min(interval, this.maxInterval);
+
+        const budgetInterval = this.getBudgetInterval();
+        if (budgetInterval > interval) {
+            interval = budgetInterval;
+            this.mode = 'budget';
+        }
+
+        this.interval = interval;
+        return this.interval;
+    }
+
+    // Frame rate, inference time and estimated CPU share for the metrics panel
+    getStats() {
+        if (this.avgInference === null || this.interval === null) return null;
+
+        const period = this.avgInference + this.interval;
+        return {
+            fps: 1000 / period,
+            inference: this.avgInference,
+            cpu: this.avgInference / period,
+            mode: this.mode
+        };
+    }
+}
+
+// Initialize frame scheduler
+window.frameScheduler = new FrameScheduler();
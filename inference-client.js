@@ -0,0 +1,115 @@
+// Client for the Hidden Inference Window
+class InferenceClient {
+    constructor() {
+        this.port = null;
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.modelUrl = null;
+        this.loading = null;      // Latest model load; frames wait for it
+        this.frameTimeout = 10000; // A hung inference window fails the frame instead of stalling the loop
+        this.connected = new Promise(resolve => { this.resolveConnected = resolve; });
+        this.init();
+    }
+
+    init() {
+        // The preload forwards the port from the main process, since ports can't cross the context bridge
+        window.addEventListener('message', (event) => {
+            if (event.source === window && event.data === 'inference-port') {
+                this.connect(event.ports[0]);
+            }
+        });
+    }
+
+    // A new port means the inference window was (re)started: requests in flight are lost and the model must be reloaded
+    connect(port) {
+        const reconnected = this.port !== null;
+        this.port = port;
+        port.onmessage = (event) => this.handleMessage(event.data);
+
+        this.rejectPending(new Error('Inference window restarted'));
+        this.resolveConnected();
+
+        if (reconnected && this.modelUrl) {
+            console.log('🧠 Inference window restarted, reloading model');
+            this.load(this.modelUrl).catch(error => console.error('Error reloading model:', error));
+        }
+    }
+
+    handleMessage({ id, result, error, progress }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        // Long requests like training report progress before their result
+        if (progress) {
+            if (request.onProgress) request.onProgress(progress);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    rejectPending(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    async request(type, payload = {}, { transfer = [], timeout = null, onProgress = null } = {}) {
+        await this.connected;
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.port.postMessage({ id, type, ...payload }, transfer);
+
+            if (timeout) {
+                setTimeout(() => {
+                    if (this.pending.delete(id)) {
+                        reject(new Error(`Inference ${type} timed out after ${timeout}ms`));
+                    }
+                }, timeout);
+            }
+        });
+    }
+
+    // Load the model folder at modelUrl in the inference window; resolves to { labels, totalClasses, featureSize }.
+    // force reloads the model even if that folder is already loaded.
+    load(modelUrl, force = false) {
+        this.modelUrl = modelUrl;
+        this.loading = this.request('load', { modelUrl, force });
+        return this.loading;
+    }
+
+    // Load the current model again from disk, e.g. when inference keeps failing
+    reload() {
+        return this.load(this.modelUrl, true);
+    }
+
+    // Send one webcam frame for inference; resolves to { pose, prediction, inferenceMs }
+    async estimate(canvas) {
+        await this.loading;
+
+        // The pixel buffer is transferred rather than cloned into the message
+        const { width, height, data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        return this.request('estimate', { image: { width, height, data } }, { transfer: [data.buffer], timeout: this.frameTimeout });
+    }
+
+    // PoseNet output of the latest analyzed frame; resolves to { features (Float32Array) }
+    capture() {
+        return this.request('capture');
+    }
+
+    // Train a new classifier head in the inference window; resolves to model artifacts and metadata
+    train(samples, labels, onProgress) {
+        return this.request('train', { samples, labels }, {
+            transfer: samples.map(sample => sample.features.buffer),
+            onProgress
+        });
+    }
+}
+
+// Initialize inference client
+window.inferenceClient = new InferenceClient();
@@ -0,0 +1,78 @@
+const path = require('path');
+const { BrowserWindow, MessageChannelMain } = require('electron');
+
+// Runs PoseNet and the posture classifier in a hidden window so inference never blocks the UI thread.
+// Renderers get a MessagePort straight to that window; frames and results don't pass through this process.
+class InferenceHost {
+  constructor(appDir) {
+    this.appDir = appDir;
+    this.window = null;
+    this.loaded = null;  // Resolves once inference.html has loaded
+    this.client = null;  // webContents of the renderer that sends frames
+  }
+
+  isRunning() {
+    return !!this.window && !this.window.isDestroyed();
+  }
+
+  start() {
+    const window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        // Hidden windows are throttled by default, which would stall detection
+        backgroundThrottling: false,
+        preload: path.join(this.appDir, 'inference-preload.js')
+      }
+    });
+    this.window = window;
+    this.loaded = window.loadFile(path.join(this.appDir, 'inference.html'));
+
+    // Replace a crashed inference process and hand the client a new port; the client reloads its model
+    window.webContents.on('render-process-gone', (event, details) => {
+      if (this.window !== window || details.reason === 'clean-exit') return;
+
+      console.error(`❌ Inference process gone (${details.reason}), restarting`);
+      window.destroy();
+      this.start();
+      if (this.client && !this.client.isDestroyed()) {
+        this.connect(this.client);
+      }
+    });
+
+    console.log('🧠 Inference window started');
+  }
+
+  stop() {
+    const window = this.window;
+    this.window = null;
+    this.client = null;
+    if (window && !window.isDestroyed()) {
+      window.destroy();
+    }
+  }
+
+  // Give a renderer a direct port to the inference window
+  async connect(webContents) {
+    if (!this.isRunning()) {
+      this.start();
+    }
+    this.client = webContents;
+
+    try {
+      await this.loaded;
+    } catch (error) {
+      console.error('❌ Inference window failed to load:', error.message);
+      return;
+    }
+    if (webContents.isDestroyed() || !this.isRunning()) return;
+
+    const { port1, port2 } = new MessageChannelMain();
+    this.window.webContents.postMessage('inference-port', null, [port1]);
+    webContents.postMessage('inference-port', null, [port2]);
+    console.log('🧠 Inference window connected');
+  }
+}
+
+module.exports = { InferenceHost };
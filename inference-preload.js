@@ -0,0 +1,7 @@
+const { ipcRenderer } = require('electron');
+
+// Preload for the hidden inference window. MessagePorts can't cross the context bridge,
+// so the port from the main process is handed to the page with window.postMessage.
+ipcRenderer.on('inference-port', (event) => {
+  window.postMessage('inference-port', '*', event.ports);
+});
@@ -0,0 +1,141 @@
+// Pose Inference in the Hidden Inference Window
+class InferenceEngine {
+    constructor() {
+        this.model = null;
+        this.modelUrl = null;
+        this.lastFeatures = null; // PoseNet output of the latest frame with a person, for labelling
+        // Same training parameters Teachable Machine uses by default
+        this.trainingParams = { denseUnits: 100, epochs: 50, learningRate: 0.001, batchSize: 16 };
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.init();
+    }
+
+    init() {
+        // Each renderer that sends frames gets its own port from the main process
+        window.addEventListener('message', (event) => {
+            if (event.source === window && event.data === 'inference-port') {
+                this.connect(event.ports[0]);
+            }
+        });
+    }
+
+    connect(port) {
+        port.onmessage = async (event) => {
+            const { id, type } = event.data;
+            try {
+                // Handlers list buffers to move rather than copy under `transfer`
+                const { transfer = [], ...result } = await this.handle(event.data, progress => port.postMessage({ id, progress }));
+                port.postMessage({ id, result }, transfer);
+            } catch (error) {
+                console.error(`Inference ${type} failed:`, error);
+                port.postMessage({ id, error: error.message });
+            }
+        };
+        console.log('🧠 Renderer connected to inference window');
+    }
+
+    handle(request, onProgress) {
+        switch (request.type) {
+            case 'load':
+                return this.load(request.modelUrl, request.force);
+            case 'estimate':
+                return this.estimate(request.image);
+            case 'capture':
+                return this.capture();
+            case 'train':
+                return this.train(request.samples, request.labels, onProgress);
+            default:
+                throw new Error(`Unknown inference request: ${request.type}`);
+        }
+    }
+
+    // Load the Teachable Machine pose model; loading the same folder again reuses the model unless forced
+    async load(modelUrl, force = false) {
+        if (!this.model || this.modelUrl !== modelUrl || force) {
+            console.log('Loading Teachable Machine pose model from:', `${modelUrl}/model.json`);
+            this.model = await tmPose.load(`${modelUrl}/model.json`, `${modelUrl}/metadata.json`);
+            this.modelUrl = modelUrl;
+        }
+
+        return {
+            labels: this.model.getClassLabels(),
+            totalClasses: this.model.getTotalClasses(),
+            featureSize: this.model.model.inputs[0].shape[1] // Length of the PoseNet output the classifier takes
+        };
+    }
+
+    // Run PoseNet and the classifier on one webcam frame ({ width, height, data } RGBA pixels)
+    async estimate({ width, height, data }) {
+        if (!this.model) {
+            throw new Error('No model loaded');
+        }
+
+        const start = performance.now();
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.ctx.putImageData(new ImageData(data, width, height), 0, 0);
+
+        // Prediction #1: run input through posenet
+        const { pose, posenetOutput } = await this.model.estimatePose(this.canvas);
+
+        // Prediction #2: run input through teachable machine classification model
+        const prediction = pose ? await this.model.predict(posenetOutput) : null;
+        this.lastFeatures = pose ? posenetOutput : null;
+
+        return { pose, prediction, inferenceMs: performance.now() - start };
+    }
+
+    // PoseNet output of the latest frame, to be stored as a labelled training sample
+    capture() {
+        if (!this.lastFeatures) {
+            throw new Error('No person in the latest frame');
+        }
+
+        const features = this.lastFeatures.slice();
+        return { features, transfer: [features.buffer] };
+    }
+
+    /**
+     * Train a new classification head on labelled PoseNet outputs with Teachable Machine's trainer.
+     * samples: [{ label, features (Float32Array) }]; labels: class names in output order.
+     * Resolves to the tf.js model artifacts and tmPose metadata for saving as a model folder.
+     */
+    async train(samples, labels, onProgress) {
+        if (!this.model) {
+            throw new Error('No model loaded');
+        }
+
+        // The new head classifies the same PoseNet output as the loaded model
+        const teachable = await tmPose.createTeachable(this.model.getMetadata());
+        teachable.setLabels(labels);
+        samples.forEach(({ label, features }) => teachable.addExample(labels.indexOf(label), features));
+
+        const { epochs } = this.trainingParams;
+        console.log(`🏋️ Training on ${samples.length} samples for ${epochs} epochs`);
+        await teachable.train(this.trainingParams, {
+            onEpochEnd: (epoch, logs) => onProgress({
+                epoch: epoch + 1,
+                epochs,
+                loss: logs.loss,
+                accuracy: logs.acc !== undefined ? logs.acc : logs.accuracy
+            })
+        });
+
+        let artifacts = null;
+        await teachable.model.save(tf.io.withSaveHandler(async (saved) => {
+            artifacts = saved;
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }));
+        const metadata = teachable.getMetadata();
+        teachable.dispose();
+
+        const { modelTopology, weightSpecs, weightData } = artifacts;
+        return { modelTopology, weightSpecs, weightData, metadata, transfer: [weightData] };
+    }
+}
+
+// Initialize inference engine
+window.inferenceEngine = new InferenceEngine();
@@ -1,9 +1,41 @@
-const { app, BrowserWindow, Notification, ipcMain } = require('electron');
+const { app, BrowserWindow, Notification, ipcMain, powerMonitor, session } = require('electron');
 const path = require('path');
+const { verifyAssets, redirectPosenetRequests } = require('./assets');
+const { UserStore, userId } = require('./store');
+const { TrainingStore } = require('./training-store');
+const { RecordingStore } = require('./recording-store');
+const { PostureTray } = require('./tray');
+const { NotificationService } = require('./notifications');
+const { InferenceHost } = require('./inference-host');
+const { ModelRegistry } = require('./model-registry');
+const { Evaluation, parseEvaluationArgs } = require('./evaluation');
+const { saveExport, saveReport } = require('./session-export');
+const {
+  hashPassword,
+  verifyPassword,
+  createEncryptionSettings,
+  deriveProfileKey,
+  encryptJSON,
+  decryptJSON
+} = require('./credentials');
 
 let mainWindow;
-let lastNotificationTime = 0;
-const NOTIFICATION_COOLDOWN = 10000; // 10 seconds between notifications (reduced for testing)
+let userStore;
+let postureTray;
+let notificationService;
+let inferenceHost;
+let modelRegistry;
+let trainingStore;
+let recordingStore;
+let isQuitting = false;
+let closeToTray = true; // Kept in sync with the user's settings by the renderer
+const profileKeys = new Map(); // email -> key for unlocked encrypted profiles
+const evaluationOptions = parseEvaluationArgs(process.argv); // Set when started with --evaluate
+
+// Software rendering makes evaluation latencies comparable between machines
+if (evaluationOptions && evaluationOptions.cpu) {
+  app.disableHardwareAcceleration();
+}
 
 // Set proper app name for notifications
 app.setName('Perfect Posture');
@@ -23,6 +55,8 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
+      // Keep the detection loop running at full speed while the window is hidden in the tray
+      backgroundThrottling: false,
       preload: path.join(__dirname, 'preload.js')
     },
     title: 'Perfect Posture',
@@ -34,15 +68,70 @@ function createWindow() {
   // Load the index.html file
   mainWindow.loadFile('index.html');
 
+  // Connect the page to the inference window on every load, including reloads
+  mainWindow.webContents.on('did-finish-load', () => {
+    inferenceHost.connect(mainWindow.webContents);
+  });
+
   // Show window when ready to prevent visual flash
   mainWindow.once('ready-to-show', () => {
     mainWindow.show();
   });
 
+  // Closing the window hides it to the tray; monitoring continues until the app is quit
+  mainWindow.on('close', (event) => {
+    if (!isQuitting && closeToTray && postureTray) {
+      event.preventDefault();
+      mainWindow.hide();
+      console.log('🗂️ Window hidden to tray, monitoring continues');
+    }
+  });
+
+  mainWindow.on('closed', () => {
+    mainWindow = null;
+    // Nothing left to run inference for; this also lets window-all-closed fire
+    inferenceHost.stop();
+  });
+
   // Remove DevTools opening by default
   // mainWindow.webContents.openDevTools();
 }
 
+function showMainWindow() {
+  if (!mainWindow) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// Monitoring runs in the renderer, so tray menu actions are forwarded to it
+function sendTrayCommand(command) {
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('tray-command', command);
+  }
+}
+
+function createTray() {
+  postureTray = new PostureTray(__dirname, {
+    showWindow: showMainWindow,
+    showDashboard: () => {
+      showMainWindow();
+      sendTrayCommand({ action: 'dashboard' });
+    },
+    startMonitoring: () => sendTrayCommand({ action: 'start' }),
+    stopMonitoring: () => sendTrayCommand({ action: 'stop' }),
+    pause: (minutes) => sendTrayCommand({ action: 'pause', minutes }),
+    resume: () => sendTrayCommand({ action: 'resume' }),
+    quit: () => app.quit()
+  });
+  postureTray.create();
+}
+
 // Request notification permissions on macOS
 async function requestNotificationPermission() {
   if (process.platform === 'darwin') {
@@ -102,139 +191,210 @@ async function requestNotificationPermission() {
   return true; // On other platforms, assume permission is granted
 }
 
-// Handle notification requests from renderer
-ipcMain.on('show-notification', async (event, { title, body }) => {
-  console.log('Received notification request from renderer:', title, body);
-  const now = Date.now();
-  
-  // Check if enough time has passed since last notification
-  if (now - lastNotificationTime > NOTIFICATION_COOLDOWN) {
-    console.log('📬 Sending notification:', title, body);
-    console.log('🕐 Time since last notification:', Math.round((now - lastNotificationTime) / 1000), 'seconds');
-    
-    try {
-      // Ensure notifications are supported
-      if (!Notification.isSupported()) {
-        console.log('Notifications not supported on this platform');
-        // Try browser notification fallback immediately
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('show-browser-notification', { title, body });
-        }
-        return;
-      }
+// Every notification goes through the notification service and reports where it was delivered
+ipcMain.handle('notify', (event, request) => notificationService.deliver(request));
+ipcMain.handle('notification-log', () => notificationService.getLog());
 
-      // Create notification with enhanced macOS settings
-      const notification = new Notification({
-        title: title,
-        body: body,
-        silent: false,
-        urgency: 'normal',
-        // Enhanced macOS settings for better visibility
-        ...(process.platform === 'darwin' && {
-          subtitle: 'Perfect Posture',
-          sound: 'default', // Use default system sound
-          hasReply: false,
-          replyPlaceholder: '',
-          actions: [],
-          // Force notification to show even when app is not focused
-          silent: false,
-          timeoutType: 'default'
-        }),
-        // Windows settings
-        ...(process.platform === 'win32' && {
-          icon: path.join(__dirname, 'assets', 'icon.png')
-        }),
-        // Linux settings  
-        ...(process.platform === 'linux' && {
-          icon: path.join(__dirname, 'assets', 'icon.png')
-        })
-      });
-      
-      // Handle notification events
-      notification.on('click', () => {
-        console.log('🖱️ Notification clicked - bringing app to front');
-        if (mainWindow) {
-          if (mainWindow.isMinimized()) {
-            mainWindow.restore();
-          }
-          if (!mainWindow.isVisible()) {
-            mainWindow.show();
-          }
-          mainWindow.focus();
-          
-          // On macOS, also bring to front
-          if (process.platform === 'darwin') {
-            app.focus({ steal: true });
-          }
-        }
-      });
-      
-      notification.on('show', () => {
-        console.log('✅ Native notification shown successfully:', title);
-        // Send success confirmation
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('notification-sent', { title, body, type: 'native' });
-        }
-      });
-      
-      notification.on('failed', (error) => {
-        console.error('❌ Native notification failed:', error.message);
-        console.log('🔄 Trying browser notification fallback...');
-        // Send browser notification fallback immediately
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('show-browser-notification', { title, body });
-          mainWindow.webContents.send('notification-failed', { error: error.message, fallback: 'browser' });
-        }
-      });
+// Settings shared with the renderer so both processes use the same values
+ipcMain.on('update-settings', (event, settings) => {
+  notificationService.setCooldown(settings.notificationCooldown);
+  closeToTray = settings.closeToTray;
+  console.log('⚙️ Settings updated from renderer. Notification cooldown:', settings.notificationCooldown / 1000, 'seconds');
+});
 
-      notification.on('close', () => {
-        console.log('📱 Notification closed:', title);
-      });
-      
-      // Show the notification with immediate feedback
-      try {
-        // Force notification to show on macOS even when app is not focused
-        if (process.platform === 'darwin') {
-          // On macOS, we need to ensure the notification is properly registered
-          console.log('🍎 Showing macOS notification with focus handling...');
-        }
-        
-        notification.show();
-        lastNotificationTime = now;
-        
-        // Force show notification for debugging
-        console.log('🔔 Notification.show() called successfully');
-        
-        // Send success response back to renderer
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('notification-sent', { title, body, type: 'native' });
-        }
-      } catch (showError) {
-        console.error('❌ Error showing notification:', showError);
-        // Immediate fallback to browser notification
-        if (mainWindow && mainWindow.webContents) {
-          mainWindow.webContents.send('show-browser-notification', { title, body });
-        }
-      }
-      
-    } catch (error) {
-      console.error('❌ Error creating notification:', error);
-      // Send error response back to renderer
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('notification-failed', { error: error.message });
-      }
-    }
-  } else {
-    console.log('⏳ Notification skipped due to cooldown. Time since last:', Math.round((now - lastNotificationTime) / 1000), 'seconds');
-    console.log('⏰ Cooldown remaining:', Math.ceil((NOTIFICATION_COOLDOWN - (now - lastNotificationTime)) / 1000), 'seconds');
-    console.log('🚨 IMPORTANT: If this is a posture alert, it was blocked by cooldown!');
+// Power source for the renderer's adaptive frame rate
+ipcMain.handle('power-get-state', () => ({ onBattery: powerMonitor.isOnBatteryPower() }));
+
+// Monitoring state from the renderer drives the tray icon and menu
+ipcMain.on('tray-status', (event, status) => {
+  if (postureTray) {
+    postureTray.update(status);
+  }
+});
+
+// Verify bundled runtimes and model files for the renderer's startup check
+ipcMain.handle('check-assets', (event, modelDir) => {
+  const report = verifyAssets(__dirname, modelDir);
+  if (!report.ok) {
+    console.error('❌ Bundled asset check failed:', JSON.stringify(report));
+  }
+  return report;
+});
+
+// Posture models bundled with the app, in the user models folder and trained by this user
+ipcMain.handle('models-list', (event, email) => modelRegistry.discover(email ? userId(email) : null));
+ipcMain.handle('models-save-personal', (event, email, model, info) => modelRegistry.saveUserModel(userId(email), model, info));
+
+// Key for data kept beside a user's profile: null for unencrypted profiles, rejected while a profile is locked
+async function profileDataKey(email) {
+  const key = profileKeys.get(email);
+  const user = await userStore.loadUser(email);
+  if (!user || !user.encryption) {
+    return null;
+  }
+  if (!key) {
+    throw new Error('Profile is locked');
+  }
+  return key;
+}
+
+// Labelled PoseNet outputs for retraining the classifier, kept per user
+ipcMain.handle('training-list', (event, email) => trainingStore.list(email));
+ipcMain.handle('training-add', async (event, email, sample) => trainingStore.add(email, sample, await profileDataKey(email)));
+ipcMain.handle('training-remove', (event, email, id) => trainingStore.remove(email, id));
+ipcMain.handle('training-clear', (event, email) => trainingStore.clear(email));
+ipcMain.handle('training-load', async (event, email) => trainingStore.load(email, await profileDataKey(email)));
+
+// Opt-in recordings of what the detection loop saw, for replaying false alerts
+ipcMain.handle('recordings-start', async (event, email, header) => recordingStore.start(email, header, await profileDataKey(email)));
+ipcMain.handle('recordings-append', async (event, email, id, frames) => recordingStore.append(email, id, frames, await profileDataKey(email)));
+ipcMain.handle('recordings-list', (event, email) => recordingStore.list(email));
+ipcMain.handle('recordings-open', async (event, email, id) => recordingStore.open(email, id, await profileDataKey(email)));
+ipcMain.handle('recordings-page', async (event, email, id, page) => recordingStore.readPage(email, id, page, await profileDataKey(email)));
+ipcMain.handle('recordings-remove', (event, email, id) => recordingStore.remove(email, id));
+
+// Session exports go through a save dialog; the renderer builds their content
+ipcMain.handle('export-sessions', (event, request) => saveExport(BrowserWindow.fromWebContents(event.sender), request));
+ipcMain.handle('export-report', (event, request) => saveReport(BrowserWindow.fromWebContents(event.sender), request));
+
+// Strip credentials and decrypt posture data before a user record reaches the renderer
+function toRendererUser(user) {
+  const { password, encryptedPostureData, ...rendererUser } = user;
+  if (user.encryption) {
+    const key = profileKeys.get(user.email);
+    rendererUser.postureData = key ? decryptJSON(key, encryptedPostureData) : null;
+    rendererUser.locked = !key;
+  }
+  return rendererUser;
+}
+
+// Encrypt posture data of protected profiles before the record is written
+function writeUser(record, key = profileKeys.get(record.email)) {
+  if (!record.encryption) {
+    return userStore.saveUser(record);
+  }
+
+  if (!key) {
+    return Promise.reject(new Error('Profile is locked'));
+  }
+
+  const { postureData, ...encryptedRecord } = record;
+  encryptedRecord.encryptedPostureData = encryptJSON(key, postureData);
+  return userStore.saveUser(encryptedRecord);
+}
+
+// Credentials are owned by the main process; the renderer copy never carries them
+async function saveRendererUser(user) {
+  // Take the key before any await so a logout right after a save can't lock the write out
+  const key = profileKeys.get(user.email);
+  const stored = await userStore.loadUser(user.email);
+  if (!stored) {
+    throw new Error('Unknown user');
+  }
+
+  const { locked, ...record } = user;
+  record.password = stored.password;
+  record.encryption = stored.encryption;
+  return writeUser(record, key);
+}
+
+// User profiles and sessions are persisted by the main process under userData
+ipcMain.handle('store-load-users', async () => {
+  const users = await userStore.loadUsers();
+  const rendererUsers = {};
+  Object.values(users).forEach(user => {
+    rendererUsers[user.email] = toRendererUser(user);
+  });
+  return rendererUsers;
+});
+ipcMain.handle('store-save-user', (event, user) => saveRendererUser(user));
+ipcMain.handle('store-import-legacy', (event, legacyUsers) => userStore.importLegacyUsers(legacyUsers));
+
+// Password checks and profile keys never leave the main process
+ipcMain.handle('auth-login', async (event, email, password) => {
+  const user = await userStore.loadUser(email);
+  if (!user) {
+    // Spend the same time as a real check so unknown emails can't be told apart
+    await hashPassword(password);
+    return { ok: false };
+  }
+
+  const { valid, needsRehash } = await verifyPassword(password, user.password);
+  if (!valid) {
+    return { ok: false };
+  }
+
+  if (user.encryption) {
+    profileKeys.set(email, await deriveProfileKey(password, user.encryption));
+  }
+
+  // Older accounts are upgraded to the current key derivation on their next login
+  if (needsRehash) {
+    user.password = await hashPassword(password);
+    await userStore.saveUser(user);
+    console.log('🔐 Upgraded password hash for', email);
   }
+
+  return { ok: true, user: toRendererUser(user) };
 });
 
+ipcMain.handle('auth-register', async (event, newUser, password, encryptData) => {
+  if (await userStore.loadUser(newUser.email)) {
+    return { ok: false, error: 'Email already registered' };
+  }
+
+  const record = { ...newUser, password: await hashPassword(password) };
+  if (encryptData) {
+    record.encryption = createEncryptionSettings();
+    profileKeys.set(record.email, await deriveProfileKey(password, record.encryption));
+  }
+
+  await writeUser(record);
+  return { ok: true, user: toRendererUser(await userStore.loadUser(record.email)) };
+});
 
+ipcMain.handle('auth-logout', (event, email) => {
+  profileKeys.delete(email);
+});
 
 // This method will be called when Electron has finished initialization
 app.whenReady().then(async () => {
+  // Load PoseNet weights from the app package when they are bundled
+  redirectPosenetRequests(session.defaultSession, __dirname);
+
+  // Evaluate models on recorded clips without any UI, then quit
+  if (evaluationOptions) {
+    modelRegistry = new ModelRegistry(__dirname, path.join(app.getPath('userData'), 'models'));
+    inferenceHost = new InferenceHost(__dirname);
+    const evaluation = new Evaluation(__dirname, modelRegistry, inferenceHost);
+    const exitCode = await evaluation.run(evaluationOptions).catch(error => {
+      console.error('❌ Evaluation failed:', error);
+      return 1;
+    });
+    inferenceHost.stop();
+    app.exit(exitCode);
+    return;
+  }
+  
+  // Open the user store before the renderer asks for it
+  userStore = new UserStore(path.join(app.getPath('userData'), 'data'));
+  await userStore.init();
+
+  // Clicking a notification brings the app forward; clicks and snoozes are passed on to the renderer
+  notificationService = new NotificationService(__dirname, {
+    onAction: (action) => {
+      if (action.action === 'open') {
+        showMainWindow();
+        if (process.platform === 'darwin') {
+          app.focus({ steal: true });
+        }
+      }
+      if (mainWindow && mainWindow.webContents) {
+        mainWindow.webContents.send('notification-action', action);
+      }
+    }
+  });
+
   // Debug notification support on startup
   console.log('🔔 Notification support check:');
   console.log('  - Notification.isSupported():', Notification.isSupported());
@@ -244,15 +404,41 @@ app.whenReady().then(async () => {
   // Request notification permissions first
   await requestNotificationPermission();
   
+  modelRegistry = new ModelRegistry(__dirname, path.join(app.getPath('userData'), 'models'));
+  trainingStore = new TrainingStore(path.join(app.getPath('userData'), 'training'));
+  recordingStore = new RecordingStore(path.join(app.getPath('userData'), 'recordings'));
+  inferenceHost = new InferenceHost(__dirname);
+  inferenceHost.start();
+
   createWindow();
+  createTray();
+
+  // Let the detection loop slow down while running on battery
+  const sendPowerState = () => {
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('power-state', { onBattery: powerMonitor.isOnBatteryPower() });
+    }
+  };
+  powerMonitor.on('on-battery', sendPowerState);
+  powerMonitor.on('on-ac', sendPowerState);
 
   app.on('activate', function () {
     // On macOS it's common to re-create a window in the app when the
     // dock icon is clicked and there are no other windows open.
-    if (BrowserWindow.getAllWindows().length === 0) createWindow();
+    // The hidden inference window doesn't count.
+    if (!mainWindow) {
+      createWindow();
+    } else {
+      showMainWindow();
+    }
   });
 });
 
+// Let the window close for real once the user quits from the tray or the app menu
+app.on('before-quit', () => {
+  isQuitting = true;
+});
+
 // Quit when all windows are closed, except on macOS
 app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
@@ -0,0 +1,121 @@
+// Posture Model Selection
+class ModelManager {
+    constructor() {
+        this.defaultModelId = 'terrahacksmodel';
+        this.models = [];
+        this.current = null; // Registry entry of the model loaded in the inference window
+        this.featureSize = null; // Length of the PoseNet output the loaded classifier takes
+        this.loading = false;
+        this.listeners = [];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        // Pick up model folders added while the app is running
+        document.getElementById('settings-btn')?.addEventListener('click', () => this.refresh());
+
+        // The newly logged in user may have personal models and a different choice
+        window.settingsManager.onChange(() => this.refresh());
+    }
+
+    // Called when the active model no longer matches the loaded one, e.g. after choosing another in Settings
+    onActiveChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    // Rescan model folders and report when the active model changed
+    async refresh() {
+        await this.fetchModels();
+
+        const active = this.getActive();
+        if (!this.loading && this.current && active && active.id !== this.current.id) {
+            this.listeners.forEach(callback => callback(active));
+        }
+        return this.models;
+    }
+
+    // Model folders found by the registry in the main process, including unusable ones
+    async fetchModels() {
+        if (!window.electronAPI || !window.electronAPI.listModels) return this.models;
+
+        try {
+            const user = window.authManager.getCurrentUser();
+            this.models = await window.electronAPI.listModels(user ? user.email : null);
+        } catch (error) {
+            console.error('Error listing models:', error);
+        }
+
+        this.populateSelect();
+        return this.models;
+    }
+
+    populateSelect() {
+        const select = document.getElementById('settings-model');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.models.forEach(model => {
+            const label = model.valid ? `${model.name}${model.location === 'user' ? ' (yours)' : ''}` : `${model.name} (unusable)`;
+            const option = new Option(label, model.id);
+            option.disabled = !model.valid;
+            option.title = model.valid ? `Version ${model.version}` : model.problems.join('; ');
+            select.appendChild(option);
+        });
+
+        const active = this.getActive();
+        select.value = active ? active.id : '';
+    }
+
+    // The user's chosen model, or the bundled default when that one is missing or unusable
+    getActive() {
+        const usable = this.models.filter(model => model.valid);
+        const chosen = usable.find(model => model.id === window.settingsManager.get('modelId'));
+        return chosen || usable.find(model => model.id === this.defaultModelId) || usable[0] || null;
+    }
+
+    // Load the active model in the inference window; resolves to { labels, totalClasses, featureSize }
+    async load() {
+        this.loading = true;
+        try {
+            await this.fetchModels();
+
+            let model = this.getActive();
+            if (!model) {
+                const problems = this.models.map(m => `${m.id}: ${m.problems.join(', ')}`).join('; ');
+                throw new Error(`No usable posture model found${problems ? ` (${problems})` : ''}`);
+            }
+
+            // refresh() doesn't report changes while loading, so a model chosen meanwhile is loaded here
+            let info = null;
+            while (model) {
+                info = await window.inferenceClient.load(model.url);
+                this.current = model;
+                this.featureSize = info.featureSize;
+                window.classConfig.load(model.classes);
+                console.log(`🧠 Model ${model.id} loaded (version ${model.version})`);
+
+                const active = this.getActive();
+                model = active && active.id !== this.current.id ? active : null;
+            }
+            return info;
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    // Saved with each session so its results can be traced to the model that produced them
+    getSessionModel() {
+        if (!this.current) return null;
+
+        const { id, name, version, trainedAt } = this.current;
+        return { id, name, version, trainedAt };
+    }
+}
+
+// Initialize model manager
+window.modelManager = new ModelManager();
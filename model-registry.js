@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { checkModelFolder } = require('./assets');
+
+// Polarities a class can have: good and bad classes drive scoring and alerts, neutral ones are only shown
+const POLARITIES = ['good', 'bad', 'neutral'];
+// Folders next to the app that are never model folders
+const IGNORED_FOLDERS = ['node_modules', 'dist', 'vendor', 'assets', '.git'];
+
+// Finds Teachable Machine pose models bundled with the app and added by the user,
+// and checks each one can be loaded and has a class configuration for every label
+class ModelRegistry {
+  constructor(appDir, userModelsDir) {
+    this.userModelsDir = userModelsDir;
+    this.defaultClassesPath = path.join(appDir, 'default-classes.json');
+    this.roots = [
+      { dir: appDir, location: 'bundled' },
+      { dir: userModelsDir, location: 'user' }
+    ];
+    this.models = [];
+  }
+
+  // Rescan on every call so folders dropped in while the app runs show up.
+  // Personal models trained by other users are left out.
+  discover(ownerId = null) {
+    this.models = [];
+    this.roots.forEach(({ dir, location }) => {
+      if (!fs.existsSync(dir)) return;
+
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !IGNORED_FOLDERS.includes(entry.name))
+        .filter(entry => fs.existsSync(path.join(dir, entry.name, 'metadata.json')))
+        .map(entry => this.describe(dir, entry.name, location))
+        .filter(model => !model.owner || model.owner === ownerId)
+        .forEach(model => this.models.push(model));
+    });
+
+    console.log(`🧠 Found ${this.models.length} model folder(s), ${this.models.filter(m => m.valid).length} usable`);
+    return this.models;
+  }
+
+  get(id) {
+    return this.models.find(model => model.id === id) || null;
+  }
+
+  describe(root, folder, location) {
+    const dir = path.join(root, folder);
+    const model = {
+      id: location === 'user' ? `user/${folder}` : folder,
+      name: folder,
+      location,
+      dir,
+      url: pathToFileURL(dir).href,
+      owner: null,     // User id for personal models trained in the app
+      labels: [],
+      classes: {},     // Class configuration per label, see resolveClasses()
+      trainedAt: null,
+      version: null,
+      valid: false,
+      problems: []
+    };
+
+    try {
+      const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'metadata.json'), 'utf8'));
+      // Teachable Machine names every export 'my-pose-model', so the folder name is more telling
+      model.name = metadata.modelName && metadata.modelName !== 'my-pose-model' ? metadata.modelName : folder;
+      model.labels = metadata.labels || [];
+      model.trainedAt = metadata.timeStamp || null;
+      model.owner = (metadata.userMetadata && metadata.userMetadata.owner) || null;
+    } catch (error) {
+      model.problems.push(`metadata.json unreadable: ${error.message}`);
+    }
+
+    const report = { missing: [], corrupted: [] };
+    checkModelFolder(root, folder, report);
+    report.missing.forEach(file => model.problems.push(`missing ${path.relative(folder, file.path)}`));
+    report.corrupted.forEach(file => model.problems.push(`${path.relative(folder, file.path)} unreadable: ${file.reason}`));
+
+    this.resolveClasses(dir, model);
+
+    model.valid = model.problems.length === 0;
+    if (model.valid) {
+      model.version = this.checksum(dir);
+    }
+    return model;
+  }
+
+  /**
+   * Class configuration for each of the model's labels: the model's own classes.json first,
+   * then default-classes.json. { [label]: { polarity, color, feedback, thresholds, problemLabel, alertMessages } }
+   */
+  resolveClasses(dir, model) {
+    const readClasses = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8')).classes || {};
+
+    let defaults = {};
+    let own = {};
+    try {
+      defaults = readClasses(this.defaultClassesPath);
+    } catch (error) {
+      console.error('❌ default-classes.json unreadable:', error.message);
+    }
+    try {
+      if (fs.existsSync(path.join(dir, 'classes.json'))) {
+        own = readClasses(path.join(dir, 'classes.json'));
+      }
+    } catch (error) {
+      model.problems.push(`classes.json unreadable: ${error.message}`);
+      return;
+    }
+
+    if (model.labels.length === 0) {
+      model.problems.push('no labels in metadata.json');
+      return;
+    }
+
+    model.labels.forEach(label => {
+      const config = own[label] || defaults[label];
+      if (!config) {
+        model.problems.push(`no class configuration for "${label}"`);
+      } else if (!POLARITIES.includes(config.polarity)) {
+        model.problems.push(`"${label}" has polarity "${config.polarity}", expected one of ${POLARITIES.join(', ')}`);
+      } else {
+        model.classes[label] = config;
+      }
+    });
+
+    // Scoring needs a good class and alerts need a bad one
+    const polarities = Object.values(model.classes).map(config => config.polarity);
+    ['good', 'bad'].forEach(polarity => {
+      if (model.problems.length === 0 && !polarities.includes(polarity)) {
+        model.problems.push(`no class with "${polarity}" polarity`);
+      }
+    });
+  }
+
+  /**
+   * Write a model trained in the app to the user models folder and return its registry entry.
+   * model: { modelTopology, weightSpecs, weightData (ArrayBuffer), metadata } as saved by tf.js and tmPose
+   */
+  async saveUserModel(ownerId, { modelTopology, weightSpecs, weightData, metadata }, userMetadata = {}) {
+    const trainedAt = new Date();
+    const folder = `personal-${trainedAt.getTime()}`;
+    const dir = path.join(this.userModelsDir, folder);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const modelJSON = {
+      modelTopology,
+      weightsManifest: [{ paths: ['weights.bin'], weights: weightSpecs }]
+    };
+    await fs.promises.writeFile(path.join(dir, 'model.json'), JSON.stringify(modelJSON));
+    await fs.promises.writeFile(path.join(dir, 'weights.bin'), Buffer.from(weightData));
+    // Same classes as the model it was trained from, including any custom configuration
+    const baseModel = userMetadata.baseModel ? this.get(userMetadata.baseModel.id) : null;
+    if (baseModel && Object.keys(baseModel.classes).length > 0) {
+      await fs.promises.writeFile(path.join(dir, 'classes.json'), JSON.stringify({ classes: baseModel.classes }, null, 2));
+    }
+    await fs.promises.writeFile(path.join(dir, 'metadata.json'), JSON.stringify({
+      ...metadata,
+      timeStamp: trainedAt.toISOString(),
+      modelName: `Personal model ${trainedAt.toLocaleString()}`,
+      userMetadata: { ...userMetadata, owner: ownerId }
+    }));
+
+    console.log('🧠 Saved personal model to', dir);
+    return this.describe(this.userModelsDir, folder, 'user');
+  }
+
+  // Short hash of the topology and weights, so sessions record exactly which model produced them
+  checksum(dir) {
+    const hash = crypto.createHash('sha256');
+    const modelJSON = fs.readFileSync(path.join(dir, 'model.json'));
+    hash.update(modelJSON);
+
+    (JSON.parse(modelJSON).weightsManifest || []).forEach(group => {
+      (group.paths || []).forEach(weightsFile => hash.update(fs.readFileSync(path.join(dir, weightsFile))));
+    });
+    return hash.digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = { ModelRegistry };
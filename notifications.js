@@ -0,0 +1,133 @@
+const path = require('path');
+const { Notification } = require('electron');
+
+// How long to wait for the OS to confirm a native notification was shown
+const ACK_TIMEOUT = 3000;
+// Entries kept in the in-memory delivery log
+const LOG_LIMIT = 200;
+
+// Single delivery path for every notification: one cooldown, one fallback chain, one log
+class NotificationService {
+  constructor(appDir, { onAction }) {
+    this.iconPath = path.join(appDir, 'assets', 'icon.png');
+    this.onAction = onAction; // (action) => void, for clicks and buttons on native notifications
+    this.cooldown = 10000;    // Kept in sync with the user's settings by the renderer
+    this.lastDeliveredAt = 0;
+    this.log = [];
+    this.nextId = 1;
+  }
+
+  setCooldown(cooldown) {
+    this.cooldown = cooldown;
+  }
+
+  getLog() {
+    return [...this.log];
+  }
+
+  addLogEntry(entry) {
+    this.log.push(entry);
+    if (this.log.length > LOG_LIMIT) {
+      this.log.shift();
+    }
+    console.log(`📬 Notification ${entry.id} (${entry.kind}): ${entry.status}${entry.channel ? ` via ${entry.channel}` : ''}${entry.reason ? ` - ${entry.reason}` : ''}`);
+  }
+
+  /**
+   * Deliver a notification and report where it ended up.
+   * request: { title, body, kind ('posture' | 'break' | 'test'), channel ('native' | 'in-app'),
+   *            snoozeOptions, persistent, backoff (cooldown multiplier) }
+   * Resolves to { id, delivered, channel, acknowledged, reason, cooldownUntil }.
+   */
+  async deliver(request) {
+    const { title, body, kind = 'posture', channel = 'native', backoff = 1 } = request;
+    const now = Date.now();
+    const entry = { id: this.nextId++, at: new Date(now).toISOString(), kind, title, requested: channel };
+
+    // Only posture alerts share the cooldown; break reminders and tests always go out
+    const usesCooldown = kind === 'posture';
+    const cooldownUntil = this.lastDeliveredAt + this.cooldown * backoff;
+
+    if (usesCooldown && now < cooldownUntil) {
+      this.addLogEntry({ ...entry, status: 'skipped', reason: 'cooldown' });
+      return { id: entry.id, delivered: false, channel: null, acknowledged: false, reason: 'cooldown', cooldownUntil };
+    }
+
+    let result;
+    if (channel === 'in-app') {
+      // Drawn by the renderer; nothing to show from here
+      result = { channel: 'in-app', acknowledged: false };
+    } else {
+      result = await this.showNative(request);
+    }
+
+    if (usesCooldown) {
+      this.lastDeliveredAt = now;
+    }
+
+    this.addLogEntry({ ...entry, status: 'delivered', ...result });
+    return {
+      id: entry.id,
+      delivered: true,
+      ...result,
+      cooldownUntil: usesCooldown ? now + this.cooldown * backoff : this.lastDeliveredAt + this.cooldown
+    };
+  }
+
+  // Show a native notification, falling back to the renderer's in-app alert when it can't be shown
+  showNative({ title, body, snoozeOptions = [], persistent = false }) {
+    if (!Notification.isSupported()) {
+      return Promise.resolve({ channel: 'in-app', acknowledged: false, reason: 'native notifications not supported' });
+    }
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const settle = (result) => {
+        if (!settled) {
+          settled = true;
+          resolve(result);
+        }
+      };
+
+      let notification;
+      try {
+        notification = new Notification({
+          title,
+          body,
+          silent: false,
+          // Persistent alerts stay on screen until the user deals with them
+          urgency: persistent ? 'critical' : 'normal',
+          timeoutType: persistent ? 'never' : 'default',
+          ...(process.platform === 'darwin' && {
+            subtitle: 'Perfect Posture',
+            sound: 'default',
+            // Notification buttons are only supported on macOS
+            actions: snoozeOptions.map(minutes => ({ type: 'button', text: `Snooze ${minutes} min` }))
+          }),
+          ...(process.platform !== 'darwin' && {
+            icon: this.iconPath
+          })
+        });
+
+        notification.on('show', () => settle({ channel: 'native', acknowledged: true }));
+        notification.on('failed', (event, error) => {
+          settle({ channel: 'in-app', acknowledged: false, reason: `native notification failed: ${error}` });
+        });
+        notification.on('click', () => this.onAction({ action: 'open' }));
+        notification.on('action', (event, index) => {
+          this.onAction({ action: 'snooze', minutes: snoozeOptions[index] });
+        });
+
+        notification.show();
+      } catch (error) {
+        settle({ channel: 'in-app', acknowledged: false, reason: `native notification error: ${error.message}` });
+        return;
+      }
+
+      // Not every platform emits 'show'; a notification that didn't fail is treated as delivered
+      setTimeout(() => settle({ channel: 'native', acknowledged: false }), ACK_TIMEOUT);
+    });
+  }
+}
+
+module.exports = { NotificationService };
@@ -0,0 +1,94 @@
+// Keypoint Analysis for Posture Metrics
+class PostureMetrics {
+    constructor() {
+        this.minPartConfidence = 0.3;
+
+        // Absolute limits for the angle metrics; head metrics need a calibrated baseline
+        this.limits = {
+            shoulderAngle: 8,   // degrees from horizontal
+            torsoLean: 12       // degrees from vertical
+        };
+    }
+
+    getKeypoint(pose, part) {
+        const keypoint = pose.keypoints.find(kp => kp.part === part);
+        return keypoint && keypoint.score > this.minPartConfidence ? keypoint.position : null;
+    }
+
+    midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    // Interpretable measurements for one pose; a metric is null when its keypoints aren't visible
+    compute(pose) {
+        const metrics = {
+            shoulderAngle: null,
+            headForward: null,
+            earShoulderRatio: null,
+            torsoLean: null
+        };
+
+        const leftShoulder = this.getKeypoint(pose, 'leftShoulder');
+        const rightShoulder = this.getKeypoint(pose, 'rightShoulder');
+        if (!leftShoulder || !rightShoulder) return metrics;
+
+        const shoulderWidth = Math.hypot(rightShoulder.x - leftShoulder.x, rightShoulder.y - leftShoulder.y);
+        if (shoulderWidth < 1) return metrics;
+
+        const shoulderMid = this.midpoint(leftShoulder, rightShoulder);
+
+        // Shoulder levelness: angle of the shoulder line, positive when the right shoulder is lower
+        metrics.shoulderAngle = Math.atan2(rightShoulder.y - leftShoulder.y, Math.abs(rightShoulder.x - leftShoulder.x)) * 180 / Math.PI;
+
+        const leftEar = this.getKeypoint(pose, 'leftEar') || this.getKeypoint(pose, 'leftEye');
+        const rightEar = this.getKeypoint(pose, 'rightEar') || this.getKeypoint(pose, 'rightEye');
+        if (leftEar && rightEar) {
+            const earMid = this.midpoint(leftEar, rightEar);
+
+            // A webcam sees the head from the front, so a forward head shows up as the head
+            // looking larger relative to the shoulders
+            metrics.headForward = Math.hypot(rightEar.x - leftEar.x, rightEar.y - leftEar.y) / shoulderWidth;
+
+            // Vertical ear-to-shoulder distance shrinks as the head drops or the shoulders hunch
+            metrics.earShoulderRatio = (shoulderMid.y - earMid.y) / shoulderWidth;
+        }
+
+        const leftHip = this.getKeypoint(pose, 'leftHip');
+        const rightHip = this.getKeypoint(pose, 'rightHip');
+        if (leftHip && rightHip) {
+            const hipMid = this.midpoint(leftHip, rightHip);
+
+            // Torso lean: angle of the hip-to-shoulder line from vertical, positive when leaning right
+            metrics.torsoLean = Math.atan2(shoulderMid.x - hipMid.x, hipMid.y - shoulderMid.y) * 180 / Math.PI;
+        }
+
+        return metrics;
+    }
+
+    // Body parts whose angle metrics are outside the absolute limits
+    getIssues(metrics) {
+        const issues = [];
+        if (metrics.shoulderAngle !== null && Math.abs(metrics.shoulderAngle) > this.limits.shoulderAngle) {
+            issues.push('shoulderAngle');
+        }
+        if (metrics.torsoLean !== null && Math.abs(metrics.torsoLean) > this.limits.torsoLean) {
+            issues.push('torsoLean');
+        }
+        return issues;
+    }
+
+    // Average a list of metric readings, ignoring missing values
+    average(readings) {
+        const averaged = {};
+        ['shoulderAngle', 'headForward', 'earShoulderRatio', 'torsoLean'].forEach(name => {
+            const values = readings.map(r => r && r[name]).filter(v => v !== null && v !== undefined);
+            averaged[name] = values.length > 0
+                ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 1000) / 1000
+                : null;
+        });
+        return averaged;
+    }
+}
+
+// Initialize posture metrics
+window.postureMetrics = new PostureMetrics();
@@ -0,0 +1,92 @@
+// Temporal Smoothing for Posture Classification
+class PostureSmoother {
+    constructor(options = {}) {
+        this.configure({
+            method: 'ema',      // 'ema' (exponential moving average) or 'window' (sliding-window mean)
+            alpha: 0.3,         // EMA weight of the newest frame
+            windowSize: 10,     // Frames in the sliding window
+            // A class becomes the state once its smoothed probability reaches `enter`,
+            // and stays until it drops below `exit` and another class has entered.
+            // Per-class values come from the model's class configuration.
+            thresholds: {},
+            defaultThreshold: { enter: 0.6, exit: 0.45 },
+            ...options
+        });
+    }
+
+    configure(options) {
+        this.options = { ...this.options, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.smoothed = {};
+        this.history = [];
+        this.state = null;
+    }
+
+    getThreshold(className) {
+        return this.options.thresholds[className] || this.options.defaultThreshold;
+    }
+
+    // Feed one raw model.predict result; returns the stable state and smoothed probabilities
+    update(prediction) {
+        const probabilities = this.smooth(prediction);
+        const previousState = this.state;
+
+        // Best candidate other than the current state
+        let candidate = null;
+        Object.entries(probabilities).forEach(([className, probability]) => {
+            if (className === this.state) return;
+            if (!candidate || probability > probabilities[candidate]) {
+                candidate = className;
+            }
+        });
+
+        const canLeave = this.state === null || probabilities[this.state] < this.getThreshold(this.state).exit;
+        if (candidate && canLeave && probabilities[candidate] >= this.getThreshold(candidate).enter) {
+            this.state = candidate;
+        }
+
+        if (this.state !== previousState) {
+            console.log(`🔀 Posture state: ${previousState || 'none'} → ${this.state}`);
+        }
+
+        return {
+            className: this.state,
+            confidence: this.state ? probabilities[this.state] : 0,
+            probabilities,
+            changed: this.state !== previousState
+        };
+    }
+
+    smooth(prediction) {
+        const probabilities = {};
+
+        if (this.options.method === 'window') {
+            this.history.push(prediction);
+            if (this.history.length > this.options.windowSize) {
+                this.history.shift();
+            }
+
+            this.history.forEach(frame => {
+                frame.forEach(({ className, probability }) => {
+                    probabilities[className] = (probabilities[className] || 0) + probability / this.history.length;
+                });
+            });
+            return probabilities;
+        }
+
+        prediction.forEach(({ className, probability }) => {
+            const previous = this.smoothed[className];
+            this.smoothed[className] = previous === undefined
+                ? probability
+                : this.options.alpha * probability + (1 - this.options.alpha) * previous;
+            probabilities[className] = this.smoothed[className];
+        });
+        return probabilities;
+    }
+}
+
+// Initialize posture smoother
+window.postureSmoother = new PostureSmoother();
@@ -3,65 +3,65 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
-  sendNotification: (title, body) => {
-    console.log('📤 Sending notification via IPC:', title, body);
-    ipcRenderer.send('show-notification', { title, body });
-  },
+  // Deliver a notification; resolves with the channel it was delivered on
+  notify: (request) => ipcRenderer.invoke('notify', request),
+  getNotificationLog: () => ipcRenderer.invoke('notification-log'),
   
-  // Listen for notification responses
-  onNotificationSent: (callback) => ipcRenderer.on('notification-sent', callback),
-  onNotificationFailed: (callback) => ipcRenderer.on('notification-failed', callback),
+  // Keep the main process in sync with the user's settings
+  updateSettings: (settings) => ipcRenderer.send('update-settings', settings),
   
-  // Remove listeners
-  removeNotificationListeners: () => {
-    ipcRenderer.removeAllListeners('notification-sent');
-    ipcRenderer.removeAllListeners('notification-failed');
-  }
+  // Tray icon and menu
+  updateTrayStatus: (status) => ipcRenderer.send('tray-status', status),
+  onTrayCommand: (callback) => ipcRenderer.on('tray-command', callback),
+  
+  // Power source, for slowing detection down on battery
+  getPowerState: () => ipcRenderer.invoke('power-get-state'),
+  onPowerStateChange: (callback) => ipcRenderer.on('power-state', callback),
+  
+  // Verify vendored runtimes and model files before loading the model
+  checkAssets: (modelDir) => ipcRenderer.invoke('check-assets', modelDir),
+  
+  // Posture models found by the model registry, including the user's personal models
+  listModels: (email) => ipcRenderer.invoke('models-list', email),
+  savePersonalModel: (email, model, info) => ipcRenderer.invoke('models-save-personal', email, model, info),
+  
+  // Labelled training samples for retraining the classifier
+  listTrainingSamples: (email) => ipcRenderer.invoke('training-list', email),
+  addTrainingSample: (email, sample) => ipcRenderer.invoke('training-add', email, sample),
+  removeTrainingSample: (email, id) => ipcRenderer.invoke('training-remove', email, id),
+  clearTrainingSamples: (email) => ipcRenderer.invoke('training-clear', email),
+  loadTrainingSamples: (email) => ipcRenderer.invoke('training-load', email),
+  
+  // Detection recordings for replaying sessions frame by frame
+  startRecording: (email, header) => ipcRenderer.invoke('recordings-start', email, header),
+  appendRecording: (email, id, frames) => ipcRenderer.invoke('recordings-append', email, id, frames),
+  listRecordings: (email) => ipcRenderer.invoke('recordings-list', email),
+  openRecording: (email, id) => ipcRenderer.invoke('recordings-open', email, id),
+  loadRecordingPage: (email, id, page) => ipcRenderer.invoke('recordings-page', email, id, page),
+  removeRecording: (email, id) => ipcRenderer.invoke('recordings-remove', email, id),
+  
+  // Save session exports and printable reports where the user chooses
+  exportSessions: (request) => ipcRenderer.invoke('export-sessions', request),
+  exportReport: (request) => ipcRenderer.invoke('export-report', request),
+  
+  // File-backed user store in the main process
+  loadUsers: () => ipcRenderer.invoke('store-load-users'),
+  saveUser: (user) => ipcRenderer.invoke('store-save-user', user),
+  importLegacyUsers: (users) => ipcRenderer.invoke('store-import-legacy', users),
+  
+  // Password hashing and profile encryption run in the main process
+  login: (email, password) => ipcRenderer.invoke('auth-login', email, password),
+  register: (user, password, encryptData) => ipcRenderer.invoke('auth-register', user, password, encryptData),
+  logout: (email) => ipcRenderer.invoke('auth-logout', email),
+  
+  // Clicks and snooze buttons on native notifications
+  onNotificationAction: (callback) => ipcRenderer.on('notification-action', callback)
 });
 
-// Listen for browser notification fallback  
-ipcRenderer.on('show-browser-notification', (event, { title, body }) => {
-  console.log('📱 Attempting browser notification fallback:', title, body);
-  
-  if ('Notification' in window) {
-    if (Notification.permission === 'granted') {
-      console.log('✅ Browser notification permission granted, showing notification');
-      const notification = new Notification(title, { 
-        body,
-        icon: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSI+PGNpcmNsZSBjeD0iMjQiIGN5PSIyNCIgcj0iMjAiIHN0cm9rZT0iIzAwZjVmZiIgc3Ryb2tlLXdpZHRoPSIzIiBmaWxsPSJub25lIi8+PC9zdmc+',
-        requireInteraction: true,
-        tag: 'posture-alert'
-      });
-      
-      notification.onclick = () => {
-        window.focus();
-        notification.close();
-      };
-    } else if (Notification.permission !== 'denied') {
-      console.log('🔔 Requesting browser notification permission');
-      Notification.requestPermission().then(permission => {
-        if (permission === 'granted') {
-          console.log('✅ Permission granted, showing notification');
-          const notification = new Notification(title, { 
-            body,
-            requireInteraction: true,
-            tag: 'posture-alert'
-          });
-          
-          notification.onclick = () => {
-            window.focus();
-            notification.close();
-          };
-        } else {
-          console.log('❌ Browser notification permission denied');
-        }
-      });
-    } else {
-      console.log('❌ Browser notifications are denied');
-    }
-  } else {
-    console.log('❌ Browser notifications not available');
-  }
+// Port to the hidden inference window. MessagePorts can't cross the context bridge,
+// so the port is handed to the page with window.postMessage.
+ipcRenderer.on('inference-port', (event) => {
+  window.postMessage('inference-port', '*', event.ports);
 });
 
 // Preload script for security context isolation
@@ -0,0 +1,72 @@
+// Presence Detection at the Desk
+class PresenceMonitor {
+    constructor() {
+        this.keypoints = ['nose', 'leftShoulder', 'rightShoulder'];
+        this.lowRateInterval = 1000; // ms between frames while the user is away, when low-rate checks are on
+
+        this.awayListeners = [];
+        this.returnListeners = [];
+        this.reset();
+    }
+
+    reset() {
+        this.absentSince = null;
+        this.away = false;
+    }
+
+    // Called with the time the user left when absence has lasted the configured timeout
+    onAway(callback) {
+        this.awayListeners.push(callback);
+    }
+
+    // Called with (leftAt, returnedAt) when the user comes back after being away
+    onReturn(callback) {
+        this.returnListeners.push(callback);
+    }
+
+    // A person is at the desk when their head or shoulders are visible
+    isPresent(pose) {
+        if (!pose) return false;
+        return pose.keypoints.some(keypoint =>
+            this.keypoints.includes(keypoint.part) && keypoint.score >= window.postureMetrics.minPartConfidence);
+    }
+
+    // Feed every frame's pose from model.estimatePose (null when nothing was found)
+    update(pose) {
+        const now = Date.now();
+        const present = this.isPresent(pose);
+
+        if (present) {
+            if (this.away) {
+                const leftAt = this.absentSince;
+                this.away = false;
+                console.log(`👋 User returned after ${Math.round((now - leftAt) / 1000)}s away`);
+                this.returnListeners.forEach(callback => callback(leftAt, now));
+            }
+            this.absentSince = null;
+        } else {
+            if (this.absentSince === null) {
+                this.absentSince = now;
+            }
+
+            const timeout = window.settingsManager.get('awayTimeout') * 1000;
+            if (!this.away && window.settingsManager.get('autoPause') && now - this.absentSince >= timeout) {
+                this.away = true;
+                console.log(`🚪 No one at the desk for ${Math.round(timeout / 1000)}s, pausing`);
+                this.awayListeners.forEach(callback => callback(this.absentSince));
+            }
+        }
+
+        return { present, absentSince: this.absentSince, away: this.away };
+    }
+
+    // Frame interval override while away, never faster than the CPU budget allows, or null to use the normal frame interval
+    getFrameInterval() {
+        if (!this.away || !window.settingsManager.get('awayLowRate')) return null;
+
+        return Math.max(this.lowRateInterval, window.frameScheduler.getInterval());
+    }
+}
+
+// Initialize presence monitor
+window.presenceMonitor = new PresenceMonitor();
@@ -0,0 +1,91 @@
+// Opt-in Recording of Detection Frames
+class DetectionRecorder {
+    constructor() {
+        this.flushEvery = 20;                      // frames sent to the main process at a time
+        this.maxDuration = {                       // recordings stop after this long; camera images add up quickly
+            keypoints: 60 * 60 * 1000,
+            frames: 10 * 60 * 1000
+        };
+        this.imageQuality = 0.8;
+        this.recording = null; // { email, mode, startedAt, entry (promise of the stored recording) }
+        this.buffer = [];
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    // Start recording a monitoring session if the user opted in
+    start(size, flip) {
+        this.stop();
+
+        const mode = window.settingsManager.get('recordDetections');
+        const user = window.authManager.getCurrentUser();
+        if (mode === 'off' || !user || !window.electronAPI || !window.electronAPI.startRecording) return;
+
+        const startedAt = Date.now();
+        const header = {
+            startedAt,
+            mode,
+            size,
+            flip,
+            model: window.modelManager.getSessionModel()
+        };
+        this.recording = {
+            email: user.email,
+            mode,
+            startedAt,
+            entry: window.electronAPI.startRecording(user.email, header)
+        };
+        this.recording.entry.catch(error => {
+            console.error('Error starting recording:', error);
+            this.recording = null;
+        });
+        console.log(`⏺️ Recording detection ${mode === 'frames' ? 'frames' : 'keypoints'}`);
+    }
+
+    // Keep one processed frame: the pose and raw prediction, plus the camera image in frames mode
+    record({ pose, prediction, inferenceMs }, frameCanvas) {
+        if (!this.recording) return;
+
+        const t = Date.now() - this.recording.startedAt;
+        if (t > this.maxDuration[this.recording.mode]) {
+            console.log('⏹️ Recording reached its length limit');
+            this.stop();
+            return;
+        }
+
+        const frame = { t, pose, prediction, inferenceMs };
+        if (this.recording.mode === 'frames') {
+            frame.image = frameCanvas.toDataURL('image/jpeg', this.imageQuality);
+        }
+
+        this.buffer.push(frame);
+        if (this.buffer.length >= this.flushEvery) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (!this.recording || this.buffer.length === 0) return;
+
+        const frames = this.buffer;
+        const { email, entry } = this.recording;
+        this.buffer = [];
+        entry
+            .then(({ id }) => window.electronAPI.appendRecording(email, id, frames))
+            .catch(error => console.error('Error saving recorded frames:', error));
+    }
+
+    stop() {
+        if (!this.recording) return;
+
+        this.flush();
+        this.recording = null;
+        this.buffer = [];
+        console.log('⏹️ Recording stopped');
+    }
+}
+
+// Initialize detection recorder
+window.detectionRecorder = new DetectionRecorder();
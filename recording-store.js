@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { userId } = require('./store');
+const { encryptJSON, decryptJSON } = require('./credentials');
+
+// Detection recordings for reproducing wrong predictions and false alerts.
+// Each recording is a folder with a header.json and its frames in JSON-lines pages of
+// `pageSize` frames, so a replay can read the part it shows without loading the rest.
+// Each user gets a folder with an index.json describing their recordings.
+// Headers and frames of encrypted profiles are encrypted with the profile key.
+class RecordingStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.pageSize = 100;
+    this.writeQueue = Promise.resolve();
+  }
+
+  dirFor(email) {
+    return path.join(this.baseDir, userId(email));
+  }
+
+  recordingDir(email, id) {
+    return path.join(this.dirFor(email), id);
+  }
+
+  pageFile(email, id, page) {
+    return path.join(this.recordingDir(email, id), `${String(page).padStart(6, '0')}.jsonl`);
+  }
+
+  async readIndex(email) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dirFor(email), 'index.json'), 'utf8'));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  writeIndex(email, index) {
+    return fs.promises.writeFile(path.join(this.dirFor(email), 'index.json'), JSON.stringify(index, null, 2));
+  }
+
+  // Ids come from the renderer, so only ids of the user's own recordings are turned into paths
+  async findEntry(email, id) {
+    const entry = (await this.readIndex(email)).find(recording => recording.id === id);
+    if (!entry) {
+      throw new Error('Unknown recording');
+    }
+    return entry;
+  }
+
+  // Appends and index changes are queued so frames land in order
+  queue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Recording descriptions: [{ id, startedAt, mode, model, size, frames, duration, encrypted }]
+  list(email) {
+    return this.readIndex(email);
+  }
+
+  // Stored form of a header or frame
+  seal(value, key) {
+    return JSON.stringify(key ? encryptJSON(key, value) : value);
+  }
+
+  unseal(entry, text, key) {
+    const value = JSON.parse(text);
+    return entry.encrypted ? decryptJSON(key, value) : value;
+  }
+
+  // header: { startedAt, mode ('keypoints' | 'frames'), model, size, flip }; key: profile key or null
+  start(email, header, key = null) {
+    return this.queue(async () => {
+      const entry = {
+        id: crypto.randomBytes(8).toString('hex'),
+        startedAt: header.startedAt,
+        mode: header.mode,
+        model: header.model,
+        size: header.size,
+        frames: 0,
+        duration: 0,
+        encrypted: !!key
+      };
+      await fs.promises.mkdir(this.recordingDir(email, entry.id), { recursive: true });
+      await fs.promises.writeFile(path.join(this.recordingDir(email, entry.id), 'header.json'), this.seal(header, key));
+
+      const index = await this.readIndex(email);
+      index.push(entry);
+      await this.writeIndex(email, index);
+      return entry;
+    });
+  }
+
+  // frames: [{ t (ms since start), pose, prediction, inferenceMs, image (JPEG data URL, frames mode only) }]
+  append(email, id, frames, key = null) {
+    return this.queue(async () => {
+      const index = await this.readIndex(email);
+      const entry = index.find(recording => recording.id === id);
+      if (!entry || frames.length === 0) return;
+      if (entry.encrypted && !key) {
+        throw new Error('Profile is locked');
+      }
+
+      for (const frame of frames) {
+        await fs.promises.appendFile(this.pageFile(email, id, Math.floor(entry.frames / this.pageSize)), `${this.seal(frame, entry.encrypted ? key : null)}\n`);
+        entry.frames++;
+      }
+      entry.duration = frames[frames.length - 1].t;
+      await this.writeIndex(email, index);
+    });
+  }
+
+  // What a replay needs before its first frame: { header, frames, duration, pageSize }
+  async open(email, id, key = null) {
+    const entry = await this.findEntry(email, id);
+    const header = this.unseal(entry, await fs.promises.readFile(path.join(this.recordingDir(email, id), 'header.json'), 'utf8'), key);
+    return { header, frames: entry.frames, duration: entry.duration, pageSize: this.pageSize };
+  }
+
+  // The frames of one page, in order
+  async readPage(email, id, page, key = null) {
+    const entry = await this.findEntry(email, id);
+    const content = await fs.promises.readFile(this.pageFile(email, id, page), 'utf8');
+    return content.split('\n').filter(line => line).map(line => this.unseal(entry, line, key));
+  }
+
+  remove(email, id) {
+    return this.queue(async () => {
+      const index = await this.readIndex(email);
+      if (!index.some(entry => entry.id === id)) return;
+
+      await this.writeIndex(email, index.filter(entry => entry.id !== id));
+      await fs.promises.rm(this.recordingDir(email, id), { recursive: true, force: true });
+    });
+  }
+}
+
+module.exports = { RecordingStore };
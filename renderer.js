@@ -6,16 +6,22 @@ let ctx;
 let isRunning = false;
 let maxPredictions;
 
-// Notification variables
-let lastBadPostureNotification = 0;
-let notificationCooldown = 10000; // 10 seconds between notifications (reduced for testing)
-let consecutiveBadPostureCount = 0;
-let notificationThreshold = 2;
+// Set while the webcam is being recreated so the detection loop skips frames
+let isWebcamRestarting = false;
+let activeCameraId = null;
+
+// Tray state: the posture shown by the tray icon and a pending timed pause
+let trayPosture = null;
+let pausedUntil = null;
+let pauseTimer = null;
+
+// Time away from the desk is left out of the session timer
+let sessionPausedAt = null;
+let sessionAwayMs = 0;
 
 // Accuracy metrics variables
 let poseQualityHistory = [];
 let consistencyHistory = [];
-let adaptiveThreshold = 0.6;
 
 // DOM elements
 const video = document.getElementById('webcam');
@@ -27,35 +33,89 @@ const confidenceProgressRing = document.getElementById('confidence-progress-ring
 const statusIndicator = document.getElementById('status-indicator');
 const startBtn = document.getElementById('start-btn');
 const stopBtn = document.getElementById('stop-btn');
+const calibrateBtn = document.getElementById('calibrate-btn');
 
 // Settings DOM elements
-const notificationsEnabledCheckbox = document.getElementById('notifications-enabled');
 const testNotificationBtn = document.getElementById('test-notification-btn');
 
 // Accuracy metrics DOM elements
 const poseQualityElement = document.getElementById('pose-quality');
 const consistencyScoreElement = document.getElementById('consistency-score');
 const adaptiveThresholdElement = document.getElementById('adaptive-threshold');
+const baselineDeviationElement = document.getElementById('baseline-deviation');
+
+// Geometry metrics DOM elements
+const shoulderAngleElement = document.getElementById('shoulder-angle');
+const headForwardElement = document.getElementById('head-forward');
+const earShoulderElement = document.getElementById('ear-shoulder-ratio');
+const torsoLeanElement = document.getElementById('torso-lean');
+
+// Detection loop performance DOM elements
+const frameRateElement = document.getElementById('frame-rate');
+const inferenceTimeElement = document.getElementById('inference-time');
+
+// Feedback for the measurement that drifted furthest from the user's calibrated baseline
+const baselineFeedback = {
+    headDrop: 'Your head has dropped below your baseline.',
+    shoulderTilt: 'Your shoulders are tilted compared to your baseline.',
+    neckForward: 'Your head is further forward than your baseline.'
+};
 
-// Feedback messages for different posture classes
-const feedbackMessages = {
-    'Good posture': '✅ Great posture! Keep it up.',
-    'Bad posture': '❌ Sit tall and relax your shoulders.',
-    'Leaning Forward': '❌ Bring your head back in line with your spine.'
+// Feedback for geometry metrics outside their absolute limits
+const geometryFeedback = {
+    shoulderAngle: 'Level your shoulders.',
+    torsoLean: 'Your upper body is leaning to one side.'
 };
 
+// Bundled runtimes and the globals they define (see vendor/manifest.json)
+const bundledRuntimes = [
+    { name: 'TensorFlow.js', global: 'tf', path: 'vendor/tfjs/tf.min.js' },
+    { name: 'Teachable Machine Pose', global: 'tmPose', path: 'vendor/teachablemachine/teachablemachine-pose.min.js' }
+];
+
+// Errors from the asset check are flagged so init() can report them separately
+function assetError(message) {
+    const error = new Error(message);
+    error.isAssetError = true;
+    return error;
+}
+
+// Verify that every bundled runtime is present before loading the model; models are checked by the model registry
+async function checkBundledAssets() {
+    // Main process verifies files on disk and their checksums
+    if (window.electronAPI && window.electronAPI.checkAssets) {
+        const report = await window.electronAPI.checkAssets();
+        
+        if (report.missing.length > 0) {
+            const asset = report.missing[0];
+            throw assetError(`Missing bundled asset: ${asset.name} (${asset.path})`);
+        }
+        if (report.corrupted.length > 0) {
+            const asset = report.corrupted[0];
+            throw assetError(`Corrupted bundled asset: ${asset.name} (${asset.path}, ${asset.reason})`);
+        }
+    }
+    
+    // Scripts can still fail to evaluate even if the files exist
+    bundledRuntimes.forEach(runtime => {
+        if (typeof window[runtime.global] === 'undefined') {
+            throw assetError(`${runtime.name} runtime failed to load (${runtime.path})`);
+        }
+    });
+}
+
 // Initialize the application
 async function init() {
     try {
-        updateStatus('Loading model...');
+        updateStatus('Checking bundled assets...');
         
-        // Load the Teachable Machine pose model
-        const modelURL = './terrahacksmodel/model.json';
-        const metadataURL = './terrahacksmodel/metadata.json';
+        await checkBundledAssets();
         
-        console.log('Loading Teachable Machine pose model from:', modelURL);
-        model = await tmPose.load(modelURL, metadataURL);
-        maxPredictions = model.getTotalClasses();
+        updateStatus('Loading model...');
+        
+        // Load the chosen Teachable Machine pose model in the hidden inference window
+        model = await window.modelManager.load();
+        maxPredictions = model.totalClasses;
         
         console.log('Model loaded successfully!');
         console.log('Total classes:', maxPredictions);
@@ -70,25 +130,42 @@ async function init() {
         testNotificationBtn.addEventListener('click', testNotification);
         
         updateStatus('Ready to start');
+        reportTrayStatus();
         
     } catch (error) {
         console.error('Error initializing:', error);
         console.error('Error details:', error.message);
         console.error('Error stack:', error.stack);
-        updateStatus('Error loading model');
-        updateFeedback(`Failed to load the posture model: ${error.message}`);
+        if (error.isAssetError) {
+            updateStatus('Missing app files');
+            updateFeedback(`${error.message}. Reinstall the app to restore the bundled files.`);
+        } else {
+            updateStatus('Error loading model');
+            updateFeedback(`Failed to load the posture model: ${error.message}`);
+        }
     }
 }
 
 // Start the webcam and pose detection
 async function startCamera() {
+    // Starting by hand ends a timed pause early
+    cancelPause();
+    window.detectionReplay.close();
+    
     try {
         updateStatus('Starting camera...');
         
+        // Restore the user's decision threshold
+        window.decisionPolicy.load();
+        
         // Start session tracking
         if (window.sessionTracker) {
             window.sessionTracker.startSession();
         }
+        window.breakScheduler.start();
+        window.presenceMonitor.reset();
+        window.frameScheduler.reset();
+        window.detectionSupervisor.reset();
         
         // Hide the HTML video element and use TM webcam
         const htmlVideo = document.getElementById('webcam');
@@ -97,36 +174,14 @@ async function startCamera() {
         }
         
         // Set up webcam using Teachable Machine API
-        const width = 700;
-        const height = 700; // Match CSS dimensions 
-        const flip = true; // whether to flip the webcam
-        webcam = new tmPose.Webcam(width, height, flip); // width, height, flip
-        await webcam.setup(); // request access to the webcam
-        await webcam.play();
-        
-        // Append the webcam canvas to the container
-        const webcamContainer = document.querySelector('.webcam-container');
-        if (webcamContainer && webcam.canvas) {
-            // Style the webcam canvas
-            webcam.canvas.style.width = '700px';
-            webcam.canvas.style.height = '700px';
-            webcam.canvas.style.borderRadius = '15px';
-            webcam.canvas.style.objectFit = 'cover';
-            webcam.canvas.style.position = 'relative';
-            webcam.canvas.style.zIndex = '1';
-            
-            // Insert before the pose canvas
-            webcamContainer.insertBefore(webcam.canvas, canvas);
-        }
-        
-        // Set canvas size to match webcam
-        canvas.width = width;
-        canvas.height = height;
+        await setupWebcam();
+        window.detectionRecorder.start(canvas.width, window.settingsManager.get('flipWebcam'));
         
         // Start pose detection
         isRunning = true;
         startBtn.disabled = true;
         stopBtn.disabled = false;
+        calibrateBtn.disabled = false;
         
         // Start session timer
         startSessionTimer();
@@ -134,8 +189,17 @@ async function startCamera() {
         updateStatus('Camera active');
         updateFeedback('Camera is now active. Position yourself in front of the camera.');
         
+        // Guide first-time users through capturing their personal baseline
+        if (window.calibrationManager && !window.calibrationManager.hasBaseline()) {
+            window.calibrationManager.showPrompt();
+        }
+        
+        // Let the user label moments for training a personal model
+        window.trainingManager.showLabelButtons();
+        
         // Start the detection loop - will run continuously even when app not focused
         detectPose();
+        reportTrayStatus();
         
         console.log('🔄 Detection loop started - will run in background when app is not focused');
         
@@ -148,19 +212,21 @@ async function startCamera() {
 
 // Stop the webcam and pose detection
 function stopCamera() {
+    // Only live monitoring adapts the threshold; replays and idle logouts leave it alone
+    const wasMonitoring = isRunning;
+    
+    // Close any unanswered alert before the session is saved
+    window.alertPolicy.reset();
+    window.breakScheduler.stop();
+    
     // End session tracking
     if (window.sessionTracker) {
         window.sessionTracker.endSession();
     }
     
-    if (webcam) {
-        webcam.stop();
-        
-        // Remove the webcam canvas if it exists
-        if (webcam.canvas && webcam.canvas.parentNode) {
-            webcam.canvas.parentNode.removeChild(webcam.canvas);
-        }
-    }
+    teardownWebcam();
+    window.detectionRecorder.stop();
+    window.trainingManager.hideLabelButtons();
     
     // Show the HTML video element again
     const htmlVideo = document.getElementById('webcam');
@@ -168,24 +234,35 @@ function stopCamera() {
         htmlVideo.style.display = 'block';
     }
     
+    // Abandon any calibration in progress
+    if (window.calibrationManager) {
+        window.calibrationManager.cancel();
+    }
+    
     isRunning = false;
     startBtn.disabled = false;
     stopBtn.disabled = true;
+    calibrateBtn.disabled = true;
     
     // Stop session timer
     stopSessionTimer();
     
     // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (ctx) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
     
-    // Reset notification variables
-    consecutiveBadPostureCount = 0;
-    lastBadPostureNotification = 0;
+    // Reset smoothing so the next session starts from a clean state
+    window.postureSmoother.reset();
+    
+    // Keep the adapted threshold for the user's next session
+    if (wasMonitoring) {
+        window.decisionPolicy.save();
+    }
     
     // Reset accuracy metrics
     poseQualityHistory = [];
     consistencyHistory = [];
-    adaptiveThreshold = 0.6;
     
     // Reset UI
     updatePrediction('Camera stopped', 'loading');
@@ -193,148 +270,669 @@ function stopCamera() {
     updateConfidence(0);
     updateStatus('Camera stopped');
     
+    trayPosture = null;
+    reportTrayStatus();
+    
     // Clear any running timeouts (since we switched from requestAnimationFrame)
     // No need to cancel animationId since we're using setTimeout now
 }
 
-// Main pose detection loop
-async function detectPose() {
+// Create the webcam on the user's camera with their size, flip and resolution settings and show it in the container
+async function setupWebcam() {
+    const size = window.settingsManager.get('webcamSize');
+    const flip = window.settingsManager.get('flipWebcam');
+    const constraints = await window.cameraManager.getConstraints();
+    
+    let camera = new tmPose.Webcam(size, size, flip); // width, height, flip
+    try {
+        await camera.setup(constraints); // request access to the webcam
+    } catch (error) {
+        if (!constraints.deviceId) throw error;
+        
+        // The selected camera exists but could not be opened, try the default one
+        console.error('Error opening selected camera, using the default camera:', error);
+        camera = new tmPose.Webcam(size, size, flip);
+        await camera.setup();
+    }
+    await camera.play();
+    webcam = camera;
+    
+    // tmPose always requests 640px wide video, so apply the chosen resolution to the track afterwards
+    const track = webcam.webcam.srcObject.getVideoTracks()[0];
+    const resolution = window.cameraManager.getResolution();
+    try {
+        await track.applyConstraints({ width: { ideal: resolution.width }, height: { ideal: resolution.height } });
+    } catch (error) {
+        console.error('Error applying camera resolution:', error);
+    }
+    
+    // Unplugging the camera ends its track
+    activeCameraId = track.getSettings().deviceId || null;
+    track.addEventListener('ended', handleCameraLost);
+    
+    // Device labels are only available once camera access has been granted
+    window.cameraManager.refreshDevices();
+    
+    // Append the webcam canvas to the container
+    const webcamContainer = document.querySelector('.webcam-container');
+    if (webcamContainer && webcam.canvas) {
+        // Style the webcam canvas (always displayed at 700px to match CSS dimensions)
+        webcam.canvas.style.width = '700px';
+        webcam.canvas.style.height = '700px';
+        webcam.canvas.style.borderRadius = '15px';
+        webcam.canvas.style.objectFit = 'cover';
+        webcam.canvas.style.position = 'relative';
+        webcam.canvas.style.zIndex = '1';
+        
+        // Insert before the pose canvas
+        webcamContainer.insertBefore(webcam.canvas, canvas);
+    }
+    
+    // Set canvas size to match webcam
+    canvas.width = size;
+    canvas.height = size;
+}
+
+function teardownWebcam() {
+    if (!webcam) return;
+    
+    const track = webcam.webcam.srcObject.getVideoTracks()[0];
+    if (track) {
+        track.removeEventListener('ended', handleCameraLost);
+    }
+    webcam.stop();
+    
+    // Remove the webcam canvas if it exists
+    if (webcam.canvas && webcam.canvas.parentNode) {
+        webcam.canvas.parentNode.removeChild(webcam.canvas);
+    }
+    
+    webcam = null;
+    activeCameraId = null;
+}
+
+// Tear down and set up the webcam again; frames are skipped meanwhile
+async function reinitializeWebcam() {
+    isWebcamRestarting = true;
+    try {
+        teardownWebcam();
+        await setupWebcam();
+        
+        // Monitoring was stopped while the camera was starting
+        if (!isRunning) {
+            teardownWebcam();
+        }
+    } finally {
+        isWebcamRestarting = false;
+    }
+}
+
+// Recreate the webcam without ending the session, e.g. after a camera setting changed or the camera was unplugged
+async function restartWebcam() {
+    try {
+        await reinitializeWebcam();
+        updateStatus('Camera active');
+        console.log('📷 Webcam restarted');
+    } catch (error) {
+        console.error('Error restarting webcam:', error);
+        
+        // No usable camera left, end the session instead of analyzing a frozen frame
+        stopCamera();
+        updateStatus('Camera error');
+        updateFeedback('No camera available. Reconnect a camera and click "Start Camera".');
+    }
+}
+
+// The camera in use was unplugged or its stream ended mid-session
+function handleCameraLost() {
+    if (!isRunning || isWebcamRestarting) return;
+    
+    console.log('📷 Camera disconnected');
+    updateStatus('Camera disconnected');
+    updateFeedback('Camera disconnected. Switching to another camera...');
+    restartWebcam();
+}
+
+function handleCameraDevicesChanged() {
+    if (!isRunning || isWebcamRestarting) return;
+    
+    if (activeCameraId && !window.cameraManager.isAvailable(activeCameraId)) {
+        handleCameraLost();
+        return;
+    }
+    
+    // Switch back once the user's chosen camera is reconnected
+    const preferred = window.cameraManager.getPreferredDeviceId();
+    if (window.cameraManager.isAvailable(preferred) && preferred !== activeCameraId) {
+        console.log('📷 Selected camera reconnected');
+        restartWebcam();
+    }
+}
+
+// Apply settings that affect a running detection loop
+function applyDetectionSettings(settings, previous) {
+    window.postureMetrics.minPartConfidence = settings.minKeypointConfidence;
+    
+    const cameraKeys = ['webcamSize', 'flipWebcam', 'cameraDeviceId', 'cameraResolution'];
+    if (isRunning && cameraKeys.some(key => settings[key] !== previous[key])) {
+        restartWebcam();
+    }
+}
+
+// Load another model without restarting the app; a running session is ended and a new one
+// started so every session is scored by a single model
+async function switchModel() {
+    const wasRunning = isRunning;
+    if (wasRunning) {
+        stopCamera();
+    }
+    
+    try {
+        updateStatus('Loading model...');
+        model = await window.modelManager.load();
+        maxPredictions = model.totalClasses;
+        updateStatus('Ready to start');
+    } catch (error) {
+        console.error('Error switching model:', error);
+        updateStatus('Error loading model');
+        updateFeedback(`Failed to load the posture model: ${error.message}`);
+        return;
+    }
+    
+    if (wasRunning) {
+        startCamera();
+    }
+}
+
+// Schedule the next detection frame, adapting the rate to posture stability, power source and CPU budget
+function scheduleNextFrame() {
+    // While away, optionally drop to a low-rate presence check
+    const interval = window.presenceMonitor.getFrameInterval() || window.frameScheduler.getInterval();
+    setTimeout(() => {
+        if (isRunning) {
+            detectPose();
+        }
+    }, interval);
+}
+
+// The user left the desk: stop counting the session until they return
+function handleUserAway(leftAt) {
+    if (!isRunning) return;
+    
+    window.sessionTracker.pauseSession(leftAt);
+    pauseSessionTimer(leftAt);
+    updateStatus('Away - session paused');
+}
+
+function handleUserReturned(leftAt, returnedAt) {
     if (!isRunning) return;
     
+    window.sessionTracker.resumeSession(returnedAt);
+    resumeSessionTimer(returnedAt);
+    updateStatus('Camera active');
+    updateFeedback('Welcome back! Monitoring resumed.');
+}
+
+// Monitoring needs a loaded model and a signed-in user
+function canMonitor() {
+    return !!model && !!window.authManager.getCurrentUser();
+}
+
+// Send the monitoring state to the main process for the tray icon and menu
+function reportTrayStatus(confidence = 0) {
+    if (!window.electronAPI || !window.electronAPI.updateTrayStatus) return;
+    
+    window.electronAPI.updateTrayStatus({
+        available: canMonitor(),
+        monitoring: isRunning,
+        posture: trayPosture,
+        confidence,
+        pausedUntil
+    });
+}
+
+// Only report posture changes so the tray isn't updated every frame
+function updateTrayPosture(predictedClass, confidence) {
+    let posture = null;
+    if (window.decisionPolicy.isGoodPosture(predictedClass, confidence)) {
+        posture = 'good';
+    } else if (window.decisionPolicy.isBadPosture(predictedClass, confidence)) {
+        posture = 'bad';
+    }
+    
+    if (posture !== trayPosture) {
+        trayPosture = posture;
+        reportTrayStatus(confidence);
+    }
+}
+
+// Stop monitoring and start again automatically after the given number of minutes
+function pauseMonitoring(minutes) {
+    if (isRunning) {
+        stopCamera();
+    }
+    
+    cancelPause();
+    pausedUntil = Date.now() + minutes * 60 * 1000;
+    pauseTimer = setTimeout(resumeMonitoring, minutes * 60 * 1000);
+    
+    const until = new Date(pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    updateStatus(`Paused until ${until}`);
+    updateFeedback(`Monitoring paused. It will resume automatically at ${until}.`);
+    console.log(`⏸️ Monitoring paused for ${minutes} minutes`);
+    reportTrayStatus();
+}
+
+function resumeMonitoring() {
+    if (canMonitor()) {
+        startCamera();
+    } else {
+        cancelPause();
+        reportTrayStatus();
+    }
+}
+
+function cancelPause() {
+    if (pauseTimer) {
+        clearTimeout(pauseTimer);
+        pauseTimer = null;
+    }
+    pausedUntil = null;
+}
+
+// Commands chosen from the tray menu
+function handleTrayCommand(event, { action, minutes }) {
+    console.log('🗂️ Tray command:', action);
+    
+    switch (action) {
+        case 'start':
+            if (canMonitor() && !isRunning) startCamera();
+            break;
+        case 'stop':
+            if (isRunning) stopCamera();
+            break;
+        case 'pause':
+            if (canMonitor()) pauseMonitoring(minutes);
+            break;
+        case 'resume':
+            resumeMonitoring();
+            break;
+        case 'dashboard':
+            if (window.authManager.getCurrentUser()) window.dashboardManager.showDashboard();
+            break;
+    }
+}
+
+// Main pose detection loop. While a recording is replayed, its frames stand in for the webcam
+// and the results are shown without recording a session, alerting or scheduling the next frame.
+async function detectPose() {
+    const replaying = window.detectionReplay.isActive();
+    if (!isRunning && !replaying) return;
+    
+    // Skip frames while the webcam is being recreated
+    if (isWebcamRestarting && !replaying) {
+        scheduleNextFrame();
+        return;
+    }
+    
     try {
-        // Update webcam frame
-        webcam.update();
+        let frame;
+        if (replaying) {
+            frame = await window.detectionReplay.readFrame();
+        } else {
+            // Update webcam frame
+            webcam.update();
+            
+            // A stuck camera keeps returning the last frame without any error
+            if (window.detectionSupervisor.isStalled(webcam.webcam)) {
+                recoverDetection('stall');
+                return;
+            }
+            
+            // PoseNet and the classifier run in the inference window so the UI thread stays free
+            const camera = webcam;
+            frame = await window.inferenceClient.estimate(camera.canvas);
+            
+            // Monitoring stopped or the webcam was recreated while the frame was in inference
+            if (!isRunning) return;
+            if (webcam !== camera) {
+                scheduleNextFrame();
+                return;
+            }
+            
+            window.frameScheduler.recordInference(frame.inferenceMs);
+            window.detectionRecorder.record(frame, webcam.canvas);
+        }
+        const { pose, prediction } = frame;
+        let state = null;
+        let alert = null;
         
-        // Prediction #1: run input through posenet
-        const { pose, posenetOutput } = await model.estimatePose(webcam.canvas);
+        // Presence at the desk drives auto-pause and the break scheduler
+        const presence = replaying ? { away: false } : window.presenceMonitor.update(pose);
+        if (!replaying) {
+            window.breakScheduler.update(presence);
+        }
         
         if (pose) {
-            // Prediction #2: run input through teachable machine classification model
-            const prediction = await model.predict(posenetOutput);
-            
             console.log('Raw prediction:', prediction);
             
-            // Find the class with highest probability
-            let maxProb = 0;
-            let predictedClass = '';
-            
-            for (let i = 0; i < maxPredictions; i++) {
-                const classPrediction = prediction[i];
-                console.log(`${classPrediction.className}: ${classPrediction.probability}`);
-                
-                if (classPrediction.probability > maxProb) {
-                    maxProb = classPrediction.probability;
-                    predictedClass = classPrediction.className;
-                }
+            // Smooth over recent frames so a single noisy frame can't flip the posture state
+            const smoothed = window.postureSmoother.update(prediction);
+            if (!replaying) {
+                window.frameScheduler.observe(smoothed, prediction);
             }
+            const predictedClass = smoothed.className;
+            state = predictedClass;
+            const confidence = smoothed.confidence;
             
-            // Update UI with results
-            updatePredictionResults(predictedClass, maxProb);
+            // Measure the body geometry behind the prediction
+            const metrics = window.postureMetrics.compute(pose);
+            updateGeometryMetrics(metrics);
             
-            // Track posture data for progress monitoring
-            if (window.sessionTracker) {
-                window.sessionTracker.addReading(predictedClass, maxProb);
+            // Compare against the user's calibrated baseline
+            let deviation = null;
+            if (window.calibrationManager) {
+                // Recorded frames never become part of the user's baseline
+                if (!replaying) {
+                    window.calibrationManager.addSample(metrics);
+                }
+                deviation = window.calibrationManager.scoreDeviation(metrics);
             }
+            updateBaselineMetric(deviation);
             
-            // Handle notifications for bad posture
-            handlePostureNotification(predictedClass, maxProb);
+            if (predictedClass) {
+                // Update UI with results
+                updatePredictionResults(predictedClass, confidence, deviation, metrics);
+                
+                // Track posture data for progress monitoring
+                if (window.sessionTracker && !replaying) {
+                    window.sessionTracker.addReading(predictedClass, confidence, smoothed.probabilities, metrics);
+                }
+                
+                // Adapt the decision threshold to the smoothed confidence of live frames
+                if (!replaying) {
+                    window.decisionPolicy.observe(confidence);
+                }
+                
+                // Handle notifications for bad posture
+                alert = handlePostureNotification(predictedClass, confidence, deviation, metrics);
+                if (!replaying) {
+                    updateTrayPosture(predictedClass, confidence);
+                }
+            } else {
+                // No class has reached its enter threshold yet
+                window.alertPolicy.endBadStretch();
+                updatePrediction('Analyzing...', 'loading');
+                updateFeedback('Analyzing posture...');
+                updateConfidence(0);
+            }
             
-            // Update accuracy metrics
-            updateAccuracyMetrics(pose, maxProb);
+            // Update accuracy metrics from the raw model output
+            const rawConfidence = Math.max(...prediction.map(p => p.probability));
+            updateAccuracyMetrics(pose, rawConfidence);
             
             // Draw pose skeleton
             drawPose(pose);
             
+        } else if (presence.away) {
+            window.alertPolicy.endBadStretch();
+            updatePrediction('Away', 'loading');
+            updateFeedback('Session paused while you are away. It resumes when you return.');
+            updateConfidence(0);
         } else {
+            window.alertPolicy.endBadStretch();
             updatePrediction('No person detected', 'loading');
             updateFeedback('Please position yourself in front of the camera.');
             updateConfidence(0);
         }
         
-        // Continue the loop - use setTimeout for background running
-        setTimeout(() => {
-            if (isRunning) {
-                detectPose();
+        if (replaying) {
+            if (!pose) {
+                drawPose(null);
             }
-        }, 100); // Run every 100ms (10 FPS) for consistent background detection
+            window.detectionReplay.showResult({ prediction, state, alert });
+            return;
+        }
+        
+        // Continue the loop - use setTimeout for background running
+        scheduleNextFrame();
+        updatePerformanceMetrics();
+        
+        // First good frame after a failure; start a new session if the old one was closed meanwhile
+        if (window.detectionSupervisor.recordSuccess()) {
+            startRecoveredSession();
+        }
         
     } catch (error) {
         console.error('Error in pose detection:', error);
-        updateStatus('Detection error');
+        if (replaying) {
+            window.detectionReplay.showError(error);
+            return;
+        }
+        recoverDetection('error');
+    }
+}
+
+// Show a recording instead of the webcam; a running session is ended first
+function startReplay(recording) {
+    if (isRunning) {
+        stopCamera();
+    }
+    
+    window.decisionPolicy.load();
+    canvas.width = recording.header.size;
+    canvas.height = recording.header.size;
+    startBtn.disabled = true;
+    updateStatus('Replaying recording');
+}
+
+// Run the replay's current frame through detection; after a jump, smoothing and alert timing start over
+async function replayFrame(jumped) {
+    if (jumped) {
+        window.postureSmoother.reset();
+        window.alertPolicy.reset();
+    }
+    await detectPose();
+}
+
+function stopReplay() {
+    window.postureSmoother.reset();
+    window.alertPolicy.reset();
+    if (ctx) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+    startBtn.disabled = isRunning;
+    
+    if (!isRunning) {
+        updatePrediction('Camera stopped', 'loading');
+        updateFeedback('Camera stopped. Click "Start Camera" to begin.');
+        updateConfidence(0);
+        updateStatus('Ready to start');
+    }
+}
+
+// Keep the loop alive after a failed or stalled frame: retry with back-off,
+// and re-create the webcam or reload the model when failures repeat
+async function recoverDetection(kind) {
+    if (!isRunning) return;
+    
+    const { action, delay, split } = window.detectionSupervisor.recordFailure(kind);
+    updateStatus(kind === 'stall' ? 'Camera stalled - recovering' : 'Detection error - recovering');
+    
+    if (split) {
+        splitSessionForRecovery();
+    }
+    
+    if (action === 'restart-webcam' || action === 'reload-model') {
+        try {
+            await reinitializeWebcam();
+            console.log('📷 Webcam re-initialized');
+        } catch (error) {
+            console.error('Error re-initializing webcam:', error);
+        }
     }
+    
+    if (action === 'reload-model') {
+        try {
+            await window.inferenceClient.reload();
+            console.log('🧠 Model reloaded');
+        } catch (error) {
+            console.error('Error reloading model:', error);
+        }
+    }
+    
+    setTimeout(() => {
+        if (isRunning) {
+            detectPose();
+        }
+    }, delay);
+}
+
+// Detection has been down too long: save the session up to when it broke instead of counting the outage
+function splitSessionForRecovery() {
+    window.alertPolicy.reset();
+    window.breakScheduler.stop();
+    window.sessionTracker.endSession(window.detectionSupervisor.getFailingSince());
+    stopSessionTimer();
+    
+    updateFeedback('Detection stopped working. The session so far was saved; a new one starts once detection recovers.');
+    console.log('✂️ Session closed while detection recovers');
+}
+
+function startRecoveredSession() {
+    window.sessionTracker.startSession();
+    window.breakScheduler.start();
+    window.presenceMonitor.reset();
+    window.postureSmoother.reset();
+    startSessionTimer();
+    
+    updateFeedback('Detection recovered. A new session has started.');
+    console.log('✂️ New session started after recovery');
 }
 
 // Update prediction results in the UI
-function updatePredictionResults(predictedClass, confidence) {
+function updatePredictionResults(predictedClass, confidence, deviation, metrics) {
     // Update prediction display
     updatePrediction(predictedClass, getClassType(predictedClass));
     
-    // Update feedback
-    const feedback = getDetailedFeedback(predictedClass, confidence);
+    // Update feedback, naming the body part that is off when the geometry shows it
+    let feedback = getDetailedFeedback(predictedClass, confidence);
+    if (deviation && deviation.issue) {
+        feedback += ` ${baselineFeedback[deviation.issue]}`;
+    }
+    window.postureMetrics.getIssues(metrics).forEach(issue => {
+        feedback += ` ${geometryFeedback[issue]}`;
+    });
     updateFeedback(feedback);
     
     // Update confidence
     const confidencePercent = Math.round(confidence * 100);
     updateConfidence(confidencePercent);
     
-    // Update status
-    if (confidence > 0.7) {
-        updateStatus('High confidence');
-    } else if (confidence > 0.5) {
-        updateStatus('Medium confidence');
+    // Update status against the same threshold the app acts on
+    updateStatus(window.decisionPolicy.describeConfidence(confidence));
+}
+
+// Handle posture notifications; returns the alert the policy raised, if any
+function handlePostureNotification(predictedClass, confidence, deviation, metrics) {
+    // Check if notifications are enabled
+    if (!window.settingsManager.get('notificationsEnabled')) {
+        return null;
+    }
+    
+    // The alert policy decides when to alert, how strongly and with which message.
+    // Replays time alerts by when their frames were recorded.
+    const replaying = window.detectionReplay.isActive();
+    const now = replaying ? window.detectionReplay.getTime() : Date.now();
+    const alert = window.alertPolicy.update(predictedClass, confidence, deviation, metrics, now);
+    if (!alert) {
+        return null;
+    }
+    
+    if (replaying) {
+        // Shown in the replay controls only; the cooldown applies as if it had been delivered
+        window.alertPolicy.handleDelivery(alert, {
+            delivered: false,
+            reason: 'replay',
+            cooldownUntil: now + window.settingsManager.get('notificationCooldown')
+        });
     } else {
-        updateStatus('Low confidence - hold still');
+        deliverPostureAlert(alert).catch(error => console.error('Error showing posture alert:', error));
     }
+    return alert;
 }
 
-// Handle posture notifications
-function handlePostureNotification(predictedClass, confidence) {
-    const now = Date.now();
+// Deliver an alert at its escalation level: in-app nudge, native notification, or persistent alert with sound
+async function deliverPostureAlert(alert) {
+    console.log('📍 Current app focus state:', document.hasFocus());
+    console.log('📍 Document visibility:', document.visibilityState);
     
-    // Check if notifications are enabled
-    if (!notificationsEnabledCheckbox || !notificationsEnabledCheckbox.checked) {
-        return;
+    const options = {
+        snoozeOptions: window.alertSchedule.snoozeOptions,
+        persistent: alert.level === 'persistent',
+        onDismiss: () => window.alertPolicy.respond('dismissed'),
+        onSnooze: (minutes) => {
+            window.alertSchedule.snooze(minutes);
+            window.alertPolicy.respond('snoozed');
+        }
+    };
+    
+    // A failed delivery must still reach the policy, which holds further alerts until it hears back
+    let result;
+    try {
+        result = await sendNotification({
+            title: alert.title,
+            body: alert.message,
+            kind: 'posture',
+            channel: alert.level === 'nudge' ? 'in-app' : 'native',
+            backoff: alert.backoff
+        }, options);
+    } catch (error) {
+        console.error('Error delivering posture alert:', error);
+        result = { delivered: false, reason: 'error' };
     }
+    window.alertPolicy.handleDelivery(alert, result);
     
-    // Check if it's bad posture with sufficient confidence
-    if (predictedClass === 'Bad posture' && confidence > 0.6) {
-        consecutiveBadPostureCount++;
-        console.log(`Bad posture detected: ${consecutiveBadPostureCount}/${notificationThreshold}`);
-        
-        // Send notification if we have enough consecutive bad posture detections
-        // and enough time has passed since last notification
-        if (consecutiveBadPostureCount >= notificationThreshold && 
-            now - lastBadPostureNotification > notificationCooldown) {
-            
-            console.log('🚨 Sending notification for bad posture...');
-            console.log('📍 Current app focus state:', document.hasFocus());
-            console.log('📍 Document visibility:', document.visibilityState);
-            
-            // Send notification via enhanced system
-            sendPostureNotification(
-                '⚠️ Perfect Posture Alert',
-                'Please sit up straight and adjust your posture!'
-            );
-            
-            lastBadPostureNotification = now;
-            consecutiveBadPostureCount = 0; // Reset counter after notification
+    if (result.delivered && alert.level === 'persistent') {
+        // Keep a copy on screen even when the native notification was shown
+        if (result.channel === 'native') {
+            showInAppAlert(alert.title, alert.message, options);
         }
-    } else if (predictedClass === 'Good posture' && confidence > 0.6) {
-        // Reset bad posture counter when good posture is detected
-        consecutiveBadPostureCount = 0;
-        console.log('Good posture detected - resetting bad posture counter');
+        playAlertSound();
+    }
+}
+
+// Short two-tone chime for persistent alerts
+function playAlertSound() {
+    try {
+        const audioContext = new AudioContext();
+        [660, 880].forEach((frequency, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const start = audioContext.currentTime + index * 0.2;
+            
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.18);
+        });
+        setTimeout(() => audioContext.close(), 1000);
+    } catch (error) {
+        console.error('Error playing alert sound:', error);
     }
 }
 
 // Get detailed feedback based on prediction
 function getDetailedFeedback(predictedClass, confidence) {
     // Base feedback
-    let feedback = feedbackMessages[predictedClass] || 'Analyzing posture...';
+    let feedback = window.classConfig.getFeedback(predictedClass);
     
     // Add confidence-based feedback
     if (confidence > 0.8) {
         feedback += ' (Very confident)';
-    } else if (confidence > 0.6) {
+    } else if (window.decisionPolicy.isConfident(confidence)) {
         feedback += ' (Confident)';
     } else if (confidence > 0.4) {
         feedback += ' (Moderate confidence)';
@@ -345,23 +943,28 @@ function getDetailedFeedback(predictedClass, confidence) {
     return feedback;
 }
 
-// Get CSS class type for styling
+// Get CSS class type for styling: the class's polarity ('good', 'bad' or 'neutral')
 function getClassType(className) {
-    if (className === 'Good posture') return 'good';
-    if (className === 'Bad posture') return 'bad';
-    if (className === 'Leaning Forward') return 'leaning';
-    return 'loading';
+    return window.classConfig.getPolarity(className);
 }
 
 // Draw pose skeleton on canvas
 function drawPose(pose) {
-    if (!pose || !webcam.canvas) return;
+    // Replays draw the recorded camera image, or only the skeleton for keypoint recordings
+    const replaying = window.detectionReplay.isActive();
+    const frameCanvas = replaying ? window.detectionReplay.getFrameCanvas() : webcam.canvas;
+    if (!replaying && (!pose || !frameCanvas)) return;
     
     // Draw the webcam image
-    ctx.drawImage(webcam.canvas, 0, 0);
+    if (frameCanvas) {
+        ctx.drawImage(frameCanvas, 0, 0);
+    } else {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+    if (!pose) return;
     
     // Draw the keypoints and skeleton
-    const minPartConfidence = 0.3;
+    const minPartConfidence = window.settingsManager.get('minKeypointConfidence');
     tmPose.drawKeypoints(pose.keypoints, minPartConfidence, ctx);
     tmPose.drawSkeleton(pose.keypoints, minPartConfidence, ctx);
 }
@@ -370,6 +973,9 @@ function drawPose(pose) {
 function updatePrediction(label, className) {
     predictionLabel.className = `prediction-label ${className}`;
     predictionLabel.querySelector('.label-text').textContent = label;
+    
+    // Classes can bring their own display color
+    predictionLabel.style.color = (className !== 'loading' && window.classConfig.getColor(label)) || '';
 }
 
 function updateFeedback(text) {
@@ -409,35 +1015,20 @@ function updateStatus(text) {
 // Test notification function
 async function testNotification() {
     try {
-        console.log('Test notification button clicked');
-        console.log('Window.electronAPI available:', !!window.electronAPI);
-        console.log('Notification API available:', 'Notification' in window);
-        console.log('Current notification permission:', Notification.permission);
-        
-        // Request notification permission first
-        if ('Notification' in window && Notification.permission === 'default') {
-            console.log('Requesting notification permission...');
-            const permission = await Notification.requestPermission();
-            console.log('Notification permission result:', permission);
-        }
-        
-        // Send test notification using enhanced system
         console.log('🧪 Sending test notification...');
-        console.log('Testing notifications when app is not focused...');
         
-        // Try Electron first
-        if (window.electronAPI && window.electronAPI.sendNotification) {
-            window.electronAPI.sendNotification('✅ Perfect Posture Test', 'This is a test notification from Perfect Posture!');
-            updateFeedback('Test notification sent! Now switch to another app and wait for the notification.');
-            
-            // Also try browser notification after 5 seconds for comparison
-            setTimeout(() => {
-                console.log('🧪 Testing browser notification as backup...');
-                sendBrowserNotification('🧪 Browser Test', 'This is a browser notification test!');
-            }, 5000);
+        const result = await sendNotification({
+            title: '✅ Perfect Posture Test',
+            body: 'This is a test notification from Perfect Posture!',
+            kind: 'test'
+        });
+        
+        if (result.channel === 'native') {
+            updateFeedback(result.acknowledged
+                ? 'Test notification shown! Posture alerts will appear the same way, even when the app is not focused.'
+                : 'Test notification sent, but the system did not confirm it was shown. Check your notification settings.');
         } else {
-            sendBrowserNotification('✅ Perfect Posture Test', 'This is a test notification from Perfect Posture!');
-            updateFeedback('Test notification sent via browser! Check your browser notifications.');
+            updateFeedback(`Native notifications are unavailable${result.reason ? ` (${result.reason})` : ''}, so alerts will appear inside the app.`);
         }
     } catch (error) {
         console.error('Error testing notification:', error);
@@ -449,7 +1040,7 @@ async function testNotification() {
 function updateAccuracyMetrics(pose, confidence) {
     // Calculate pose quality based on keypoint confidence
     const keypoints = pose.keypoints;
-    const visibleKeypoints = keypoints.filter(kp => kp.score > 0.3);
+    const visibleKeypoints = keypoints.filter(kp => kp.score > window.settingsManager.get('minKeypointConfidence'));
     const poseQuality = visibleKeypoints.length / keypoints.length;
     
     // Add to history (keep last 10 readings)
@@ -467,13 +1058,6 @@ function updateAccuracyMetrics(pose, confidence) {
     // Calculate consistency score (standard deviation of recent confidences)
     const consistencyScore = calculateConsistency(consistencyHistory);
     
-    // Update adaptive threshold based on recent performance
-    if (confidence > 0.8) {
-        adaptiveThreshold = Math.min(adaptiveThreshold + 0.01, 0.9);
-    } else if (confidence < 0.5) {
-        adaptiveThreshold = Math.max(adaptiveThreshold - 0.01, 0.3);
-    }
-    
     // Update UI
     if (poseQualityElement) {
         const qualityPercent = Math.round(poseQuality * 100);
@@ -488,12 +1072,80 @@ function updateAccuracyMetrics(pose, confidence) {
     }
     
     if (adaptiveThresholdElement) {
-        const thresholdPercent = Math.round(adaptiveThreshold * 100);
+        const thresholdPercent = Math.round(window.decisionPolicy.threshold * 100);
         adaptiveThresholdElement.textContent = `${thresholdPercent}%`;
         adaptiveThresholdElement.className = `metric-value ${getQualityClass(thresholdPercent)}`;
     }
 }
 
+// Show the keypoint geometry measurements in the metrics panel
+function updateGeometryMetrics(metrics) {
+    const issues = window.postureMetrics.getIssues(metrics);
+    
+    const setMetric = (element, value, text, isOff) => {
+        if (!element) return;
+        element.textContent = value === null ? '--' : text;
+        element.className = value === null ? 'metric-value' : `metric-value ${isOff ? 'low' : 'high'}`;
+    };
+    
+    setMetric(shoulderAngleElement, metrics.shoulderAngle,
+        `${Math.abs(metrics.shoulderAngle || 0).toFixed(1)}°`, issues.includes('shoulderAngle'));
+    setMetric(torsoLeanElement, metrics.torsoLean,
+        `${Math.abs(metrics.torsoLean || 0).toFixed(1)}°`, issues.includes('torsoLean'));
+    
+    // Head metrics are ratios to shoulder width; they are only judged against a calibrated baseline
+    if (headForwardElement) {
+        headForwardElement.textContent = metrics.headForward === null ? '--' : metrics.headForward.toFixed(2);
+        headForwardElement.className = 'metric-value';
+    }
+    if (earShoulderElement) {
+        earShoulderElement.textContent = metrics.earShoulderRatio === null ? '--' : metrics.earShoulderRatio.toFixed(2);
+        earShoulderElement.className = 'metric-value';
+    }
+}
+
+// Show how far the current pose is from the calibrated baseline
+function updateBaselineMetric(deviation) {
+    if (!baselineDeviationElement) return;
+    
+    if (!window.calibrationManager || !window.calibrationManager.hasBaseline()) {
+        baselineDeviationElement.textContent = 'Not set';
+        baselineDeviationElement.className = 'metric-value';
+        return;
+    }
+    
+    if (!deviation) {
+        baselineDeviationElement.textContent = '--';
+        baselineDeviationElement.className = 'metric-value';
+        return;
+    }
+    
+    // 100% match means no measurement has drifted at all, 0% means at or past tolerance
+    const matchPercent = Math.round(Math.max(0, 1 - deviation.score) * 100);
+    baselineDeviationElement.textContent = `${matchPercent}%`;
+    baselineDeviationElement.className = `metric-value ${getQualityClass(matchPercent)}`;
+}
+
+// Show the detection rate and how much CPU inference is taking
+function updatePerformanceMetrics() {
+    const stats = window.frameScheduler.getStats();
+    if (!stats) return;
+    
+    const budget = window.settingsManager.get('cpuBudget');
+    const cpuPercent = Math.round(stats.cpu * 100);
+    
+    if (frameRateElement) {
+        frameRateElement.textContent = `${stats.fps.toFixed(1)} fps`;
+        frameRateElement.className = 'metric-value';
+        frameRateElement.title = `Mode: ${stats.mode}`;
+    }
+    if (inferenceTimeElement) {
+        inferenceTimeElement.textContent = `${Math.round(stats.inference)} ms · ${cpuPercent}%`;
+        inferenceTimeElement.className = `metric-value ${cpuPercent > budget ? 'low' : 'high'}`;
+        inferenceTimeElement.title = `Estimated CPU use of ${cpuPercent}% against a budget of ${budget}%`;
+    }
+}
+
 // Calculate consistency (lower is better)
 function calculateConsistency(history) {
     if (history.length < 2) return 0;
@@ -510,61 +1162,33 @@ function getQualityClass(percentage) {
     return 'low';
 }
 
-// Enhanced notification function
-function sendPostureNotification(title, body) {
-    console.log('🚨 Sending posture notification:', title, body);
-    console.log('📍 Document visibility:', document.visibilityState);
-    console.log('📍 Window focused:', document.hasFocus());
+// Send a notification through the main process notification service, which applies the cooldown,
+// picks the channel and logs the delivery. The renderer only draws the in-app fallback.
+// options.snoozeOptions adds snooze buttons (in minutes), options.persistent keeps it on screen until dismissed
+async function sendNotification(request, options = {}) {
+    console.log('🚨 Sending notification:', request.title, request.body);
     
-    if (window.electronAPI && window.electronAPI.sendNotification) {
-        console.log('📤 Attempting Electron native notifications');
-        window.electronAPI.sendNotification(title, body);
-    } else {
-        console.log('📱 Electron API unavailable, using browser notifications');
-        sendBrowserNotification(title, body);
-    }
-}
-
-// Browser notification fallback
-function sendBrowserNotification(title, body) {
-    if ('Notification' in window) {
-        if (Notification.permission === 'granted') {
-            console.log('✅ Showing browser notification');
-            const notification = new Notification(title, {
-                body: body,
-                icon: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDgiIGhlaWdodD0iNDgiIHZpZXdCb3g9IjAgMCA0OCA0OCIgZmlsbD0ibm9uZSI+PGNpcmNsZSBjeD0iMjQiIGN5PSIyNCIgcj0iMjAiIHN0cm9rZT0iIzAwZjVmZiIgc3Ryb2tlLXdpZHRoPSIzIiBmaWxsPSJub25lIi8+PC9zdmc+',
-                requireInteraction: true,
-                tag: 'posture-alert',
-                vibrate: [200, 100, 200]
-            });
-            
-            notification.onclick = () => {
-                window.focus();
-                notification.close();
-            };
-        } else if (Notification.permission !== 'denied') {
-            console.log('🔔 Requesting notification permission');
-            Notification.requestPermission().then(permission => {
-                if (permission === 'granted') {
-                    console.log('✅ Permission granted, sending notification');
-                    sendBrowserNotification(title, body);
-                } else {
-                    console.log('❌ Notification permission denied');
-                    showInAppAlert(title, body);
-                }
-            });
-        } else {
-            console.log('❌ Notifications denied, showing in-app alert');
-            showInAppAlert(title, body);
-        }
+    let result;
+    if (window.electronAPI && window.electronAPI.notify) {
+        result = await window.electronAPI.notify({
+            ...request,
+            snoozeOptions: options.snoozeOptions,
+            persistent: options.persistent
+        });
     } else {
-        console.log('❌ Notifications not supported, showing in-app alert');
-        showInAppAlert(title, body);
+        result = { delivered: true, channel: 'in-app', acknowledged: false, reason: 'notification service unavailable' };
+    }
+    
+    if (result.delivered && result.channel === 'in-app') {
+        showInAppAlert(request.title, request.body, options);
     }
+    
+    console.log('📬 Notification result:', result);
+    return result;
 }
 
 // In-app alert fallback
-function showInAppAlert(title, body) {
+function showInAppAlert(title, body, options = {}) {
     // Create a temporary overlay notification
     const alertDiv = document.createElement('div');
     alertDiv.style.cssText = `
@@ -583,10 +1207,32 @@ function showInAppAlert(title, body) {
         animation: slideIn 0.3s ease-out;
     `;
     
+    // Titles and messages can contain class names from model metadata, so they are set as text
     alertDiv.innerHTML = `
-        <div style="font-weight: 700; margin-bottom: 5px;">${title}</div>
-        <div style="font-size: 0.9rem; opacity: 0.9;">${body}</div>
+        <div class="in-app-alert-title" style="font-weight: 700; margin-bottom: 5px;"></div>
+        <div class="in-app-alert-body" style="font-size: 0.9rem; opacity: 0.9;"></div>
     `;
+    alertDiv.querySelector('.in-app-alert-title').textContent = title;
+    alertDiv.querySelector('.in-app-alert-body').textContent = body;
+    
+    // Snooze buttons for posture alerts
+    const snoozeOptions = options.onSnooze ? options.snoozeOptions || [] : [];
+    snoozeOptions.forEach(minutes => {
+        const snoozeBtn = document.createElement('button');
+        snoozeBtn.textContent = `Snooze ${minutes} min`;
+        snoozeBtn.style.cssText = `
+            margin: 10px 8px 0 0;
+            padding: 6px 10px;
+            background: rgba(255, 255, 255, 0.2);
+            border: 1px solid rgba(255, 255, 255, 0.4);
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+        snoozeBtn.onclick = () => options.onSnooze(minutes);
+        alertDiv.appendChild(snoozeBtn);
+    });
     
     // Add animation keyframes
     if (!document.querySelector('#alert-styles')) {
@@ -603,42 +1249,30 @@ function showInAppAlert(title, body) {
     
     document.body.appendChild(alertDiv);
     
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-        if (alertDiv.parentNode) {
-            alertDiv.style.animation = 'slideIn 0.3s ease-out reverse';
-            setTimeout(() => alertDiv.remove(), 300);
-        }
-    }, 5000);
+    // Auto-remove after 5 seconds unless the alert is persistent
+    if (!options.persistent) {
+        setTimeout(() => {
+            if (alertDiv.parentNode) {
+                alertDiv.style.animation = 'slideIn 0.3s ease-out reverse';
+                setTimeout(() => alertDiv.remove(), 300);
+            }
+        }, 5000);
+    }
     
     // Click to dismiss
-    alertDiv.onclick = () => alertDiv.remove();
-}
-
-// Listen for notification responses from main process
-if (window.electronAPI) {
-    window.electronAPI.onNotificationSent((event, data) => {
-        if (data.type === 'native') {
-            console.log('✅ Native notification confirmed sent:', data);
-        } else {
-            console.log('✅ Notification confirmed sent:', data);
-        }
-    });
-    
-    window.electronAPI.onNotificationFailed((event, data) => {
-        console.log('❌ Notification failed in main process:', data);
-        if (data.fallback === 'browser') {
-            console.log('🔄 Main process is handling browser fallback');
-        } else {
-            console.log('🔄 Attempting manual browser fallback');
-            sendBrowserNotification('⚠️ Perfect Posture Alert', 'Please check your posture! You\'ve been slouching for a while.');
+    alertDiv.onclick = () => {
+        alertDiv.remove();
+        if (options.onDismiss) {
+            options.onDismiss();
         }
-    });
+    };
 }
 
 // Session Timer Functions
 function startSessionTimer() {
     sessionStartTime = Date.now();
+    sessionPausedAt = null;
+    sessionAwayMs = 0;
     updateSessionTimer(); // Update immediately
     
     // Update timer every second
@@ -651,6 +1285,8 @@ function stopSessionTimer() {
         sessionTimerInterval = null;
     }
     sessionStartTime = null;
+    sessionPausedAt = null;
+    sessionAwayMs = 0;
     
     // Reset timer display
     const timerElement = document.getElementById('session-timer');
@@ -659,10 +1295,30 @@ function stopSessionTimer() {
     }
 }
 
+// Freeze the timer from the moment the user left
+function pauseSessionTimer(leftAt = Date.now()) {
+    if (!sessionStartTime || sessionPausedAt !== null) return;
+    sessionPausedAt = Math.max(leftAt, sessionStartTime);
+    updateSessionTimer();
+}
+
+function resumeSessionTimer(returnedAt = Date.now()) {
+    if (sessionPausedAt === null) return;
+    sessionAwayMs += returnedAt - sessionPausedAt;
+    sessionPausedAt = null;
+    updateSessionTimer();
+}
+
+// Milliseconds of the session spent at the desk
+function getPresentTime() {
+    const now = sessionPausedAt !== null ? sessionPausedAt : Date.now();
+    return now - sessionStartTime - sessionAwayMs;
+}
+
 function updateSessionTimer() {
     if (!sessionStartTime) return;
     
-    const elapsed = Date.now() - sessionStartTime;
+    const elapsed = getPresentTime();
     const seconds = Math.floor(elapsed / 1000);
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
@@ -677,11 +1333,33 @@ function updateSessionTimer() {
 
 function getSessionDuration() {
     if (!sessionStartTime) return 0;
-    return Math.floor((Date.now() - sessionStartTime) / 1000);
+    return Math.floor(getPresentTime() / 1000);
 }
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', init);
 
+// Apply settings changes to the detection loop
+window.settingsManager.onChange(applyDetectionSettings);
+window.cameraManager.onDeviceChange(handleCameraDevicesChanged);
+window.modelManager.onActiveChange(switchModel);
+
+// Replay recorded detection sessions through the same pipeline
+window.detectionReplay.onStart(startReplay);
+window.detectionReplay.onFrame(replayFrame);
+window.detectionReplay.onStop(stopReplay);
+
+// Auto-pause while the user is away from the desk
+window.presenceMonitor.onAway(handleUserAway);
+window.presenceMonitor.onReturn(handleUserReturned);
+
+// Tray menu commands and status (login applies the user's settings, so report then too)
+if (window.electronAPI && window.electronAPI.onTrayCommand) {
+    window.electronAPI.onTrayCommand(handleTrayCommand);
+}
+window.settingsManager.onChange(() => reportTrayStatus());
+
 // Expose functions globally for auth system
-window.stopCamera = stopCamera; 
\ No newline at end of file
+window.stopCamera = stopCamera;
+window.cancelPause = cancelPause;
+window.reportTrayStatus = reportTrayStatus; 
\ No newline at end of file
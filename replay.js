@@ -0,0 +1,290 @@
+// Replay of Recorded Detection Sessions
+class DetectionReplay {
+    constructor() {
+        this.recording = null; // { id, email, header, frames (count), pageSize } of the recording being replayed
+        this.index = -1;
+        this.frame = null;     // The frame at `index`
+        this.pages = new Map(); // Loaded pages of frames by page number, oldest first
+        this.maxPages = 3;
+        this.playing = false;
+        this.busy = false;     // A frame is going through detection
+        this.hasImage = false; // The canvas holds the current frame's camera image
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.startListeners = [];
+        this.frameListeners = [];
+        this.stopListeners = [];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settings-btn')?.addEventListener('click', () => this.showRecordings());
+        document.getElementById('replay-prev')?.addEventListener('click', () => this.step(-1));
+        document.getElementById('replay-next')?.addEventListener('click', () => this.step(1));
+        document.getElementById('replay-play')?.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        document.getElementById('replay-exit')?.addEventListener('click', () => this.close());
+        document.getElementById('replay-position')?.addEventListener('change', (e) => {
+            this.pause();
+            this.show(Number(e.target.value), true);
+        });
+    }
+
+    // Called with the recording when a replay starts, before its first frame
+    onStart(callback) {
+        this.startListeners.push(callback);
+    }
+
+    // Called with `jumped` for every frame to run through detection; jumped is true when
+    // the frame doesn't follow the previous one, so smoothing and alert timing must start over
+    onFrame(callback) {
+        this.frameListeners.push(callback);
+    }
+
+    onStop(callback) {
+        this.stopListeners.push(callback);
+    }
+
+    isActive() {
+        return this.recording !== null;
+    }
+
+    getEmail() {
+        const user = window.authManager.getCurrentUser();
+        return user ? user.email : null;
+    }
+
+    // The user's recordings in the Settings panel, newest first
+    async showRecordings() {
+        const list = document.getElementById('recordings-list');
+        if (!list || !window.electronAPI || !window.electronAPI.listRecordings) return;
+
+        const email = this.getEmail();
+        list.innerHTML = '';
+        if (!email) return;
+
+        const recordings = await window.electronAPI.listRecordings(email);
+        if (recordings.length === 0) {
+            list.innerHTML = '<div class="no-sessions">No recordings yet. Choose what to record above and start monitoring.</div>';
+            return;
+        }
+
+        recordings.slice().reverse().forEach(recording => {
+            const recordingEl = document.createElement('div');
+            recordingEl.className = 'stretch-item sample-item';
+            recordingEl.innerHTML = `
+                <span class="stretch-time">${new Date(recording.startedAt).toLocaleString()}</span>
+                <span class="stretch-posture"></span>
+                <button class="back-btn replay-open">Replay</button>
+                <button class="back-btn replay-delete">Delete</button>
+            `;
+            const kind = recording.mode === 'frames' ? 'images' : 'keypoints';
+            recordingEl.querySelector('.stretch-posture').textContent =
+                `${recording.frames} frames, ${this.formatTime(recording.duration)}, ${kind}`;
+            recordingEl.querySelector('.replay-open').disabled = recording.frames === 0;
+            recordingEl.querySelector('.replay-open').addEventListener('click', () => this.open(recording.id));
+            recordingEl.querySelector('.replay-delete').addEventListener('click', async () => {
+                await window.electronAPI.removeRecording(email, recording.id);
+                this.showRecordings();
+            });
+            list.appendChild(recordingEl);
+        });
+    }
+
+    async open(id) {
+        const email = this.getEmail();
+        if (!email) return;
+
+        this.close();
+        const { header, frames, pageSize } = await window.electronAPI.openRecording(email, id);
+        if (frames === 0) return;
+
+        this.recording = { id, email, header, frames, pageSize };
+        this.canvas.width = header.size;
+        this.canvas.height = header.size;
+        window.settingsManager.hideSettings();
+
+        const slider = document.getElementById('replay-position');
+        if (slider) {
+            slider.max = frames - 1;
+        }
+        document.getElementById('replay-controls')?.classList.remove('hidden');
+
+        // Keypoint recordings replay the recorded predictions; frame recordings run the current model
+        const current = window.modelManager.getSessionModel();
+        if (header.mode === 'frames' && header.model && current && header.model.id !== current.id) {
+            console.log(`⏯️ Recorded with ${header.model.id}, replaying with ${current.id}`);
+        }
+
+        console.log(`⏯️ Replaying ${frames} recorded frames`);
+        this.startListeners.forEach(callback => callback(this.recording));
+        await this.show(0, true);
+    }
+
+    close() {
+        if (!this.recording) return;
+
+        this.pause();
+        this.recording = null;
+        this.index = -1;
+        this.frame = null;
+        this.pages.clear();
+        document.getElementById('replay-controls')?.classList.add('hidden');
+        this.stopListeners.forEach(callback => callback());
+        console.log('⏯️ Replay closed');
+    }
+
+    // Run one frame through detection
+    async show(index, jumped) {
+        if (!this.recording || this.busy) return;
+
+        this.busy = true;
+        try {
+            this.index = Math.max(0, Math.min(index, this.recording.frames - 1));
+            this.frame = await this.loadFrame(this.index);
+            if (!this.recording) return;
+
+            await Promise.all(this.frameListeners.map(callback => callback(jumped)));
+        } finally {
+            this.busy = false;
+        }
+        this.updateControls();
+    }
+
+    step(delta) {
+        if (!this.recording) return;
+
+        this.pause();
+        this.show(this.index + delta, delta !== 1);
+    }
+
+    // Play from the current frame with the recorded timing
+    async play() {
+        if (!this.recording || this.playing) return;
+
+        this.playing = true;
+        this.updateControls();
+        while (this.playing && this.recording && this.index < this.recording.frames - 1) {
+            const startedAt = performance.now();
+            const next = await this.loadFrame(this.index + 1);
+            if (!this.playing || !this.recording) break;
+
+            const gap = next.t - this.frame.t;
+            await this.show(this.index + 1, false);
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, gap - (performance.now() - startedAt))));
+        }
+        this.pause();
+    }
+
+    pause() {
+        this.playing = false;
+        this.updateControls();
+    }
+
+    // Frames are fetched a page at a time, keeping only the last few pages
+    async loadFrame(index) {
+        const recording = this.recording;
+        const page = Math.floor(index / recording.pageSize);
+        if (this.pages.has(page)) {
+            return this.pages.get(page)[index % recording.pageSize];
+        }
+
+        const frames = await window.electronAPI.loadRecordingPage(recording.email, recording.id, page);
+        if (this.recording === recording) {
+            if (this.pages.size >= this.maxPages) {
+                this.pages.delete(this.pages.keys().next().value);
+            }
+            this.pages.set(page, frames);
+        }
+        return frames[index % recording.pageSize];
+    }
+
+    getFrame() {
+        return this.recording ? this.frame : null;
+    }
+
+    // When the current frame was recorded, for timing alerts as they happened
+    getTime() {
+        return this.recording.header.startedAt + this.getFrame().t;
+    }
+
+    // The recorded camera image, or null when only keypoints were recorded
+    getFrameCanvas() {
+        return this.hasImage ? this.canvas : null;
+    }
+
+    // Pose and prediction of the current frame, in the shape the inference window returns them
+    async readFrame() {
+        const frame = this.getFrame();
+        this.hasImage = !!frame.image;
+        if (!frame.image) {
+            return { pose: frame.pose, prediction: frame.prediction, inferenceMs: frame.inferenceMs };
+        }
+
+        // Recorded camera images go through PoseNet and the classifier again
+        const image = new Image();
+        image.src = frame.image;
+        await image.decode();
+        this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+        return window.inferenceClient.estimate(this.canvas);
+    }
+
+    topClass(prediction) {
+        if (!prediction || prediction.length === 0) return 'no person';
+
+        const top = prediction.reduce((best, p) => (p.probability > best.probability ? p : best));
+        return `${top.className} ${Math.round(top.probability * 100)}%`;
+    }
+
+    formatTime(ms) {
+        const seconds = ms / 1000;
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    // What detection made of the current frame, next to what was recorded live
+    showResult({ prediction, state, alert }) {
+        const info = document.querySelector('#replay-controls .replay-info');
+        const frame = this.getFrame();
+        if (!info || !frame) return;
+
+        const parts = [
+            `Frame ${this.index + 1} of ${this.recording.frames}`,
+            this.formatTime(frame.t),
+            `recorded: ${this.topClass(frame.prediction)}`
+        ];
+        if (frame.image) {
+            parts.push(`now: ${this.topClass(prediction)}`);
+        }
+        parts.push(`state: ${state || '-'}`);
+        if (alert) {
+            parts.push(`🚨 ${alert.level} alert (${alert.problem})`);
+        }
+        info.textContent = parts.join(' · ');
+        info.classList.toggle('alerting', !!alert);
+    }
+
+    showError(error) {
+        const info = document.querySelector('#replay-controls .replay-info');
+        if (info) {
+            info.textContent = `Frame ${this.index + 1} failed: ${error.message}`;
+        }
+    }
+
+    updateControls() {
+        const playBtn = document.getElementById('replay-play');
+        const slider = document.getElementById('replay-position');
+        if (playBtn) {
+            playBtn.textContent = this.playing ? '⏸ Pause' : '▶ Play';
+        }
+        if (slider && this.index >= 0) {
+            slider.value = this.index;
+        }
+    }
+}
+
+// Initialize detection replay
+window.detectionReplay = new DetectionReplay();
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { BrowserWindow, dialog } = require('electron');
+
+// Ask where to save an export; resolves to the chosen path, or null when cancelled
+async function chooseExportPath(parentWindow, defaultName, filters) {
+  const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+    title: 'Export posture sessions',
+    defaultPath: defaultName,
+    filters
+  });
+  return canceled || !filePath ? null : filePath;
+}
+
+// Save a CSV or JSON export the renderer has built: { defaultName, content, format ('csv' | 'json') }
+async function saveExport(parentWindow, { defaultName, content, format }) {
+  const filters = format === 'csv'
+    ? [{ name: 'CSV', extensions: ['csv'] }]
+    : [{ name: 'JSON', extensions: ['json'] }];
+  const filePath = await chooseExportPath(parentWindow, defaultName, filters);
+  if (!filePath) return { saved: false };
+
+  await fs.promises.writeFile(filePath, content, 'utf8');
+  console.log('📤 Sessions exported to', filePath);
+  return { saved: true, path: filePath };
+}
+
+// Print a self-contained HTML report to PDF in a hidden window without scripts.
+// The page goes through a temporary file; its chart image is too large for a data: URL.
+async function saveReport(parentWindow, { defaultName, html }) {
+  const filePath = await chooseExportPath(parentWindow, defaultName, [{ name: 'PDF', extensions: ['pdf'] }]);
+  if (!filePath) return { saved: false };
+
+  const htmlPath = path.join(os.tmpdir(), `posture-report-${crypto.randomBytes(8).toString('hex')}.html`);
+  const window = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      javascript: false
+    }
+  });
+
+  try {
+    await fs.promises.writeFile(htmlPath, html, 'utf8');
+    await window.loadFile(htmlPath);
+    const pdf = await window.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+    await fs.promises.writeFile(filePath, pdf);
+  } finally {
+    window.destroy();
+    await fs.promises.rm(htmlPath, { force: true });
+  }
+
+  console.log('📤 Posture report saved to', filePath);
+  return { saved: true, path: filePath };
+}
+
+module.exports = { saveExport, saveReport };
@@ -0,0 +1,239 @@
+// Settings and Per-User Preferences
+class SettingsManager {
+    constructor() {
+        this.defaults = {
+            notificationsEnabled: true,
+            notificationCooldown: 10000,   // ms between posture alerts
+            notificationThreshold: 2,      // consecutive bad posture readings before alerting
+            closeToTray: true,             // closing the window keeps monitoring from the tray
+            autoPause: true,               // pause the session while no one is at the desk
+            awayTimeout: 60,               // seconds without a person before pausing
+            awayLowRate: true,             // check once a second while away instead of every frame
+            breakPlan: '50-10',            // 'off', '20-20-20', '50-10' or 'custom'
+            breakWorkMinutes: 45,          // custom plan: minutes of sitting before a break
+            breakMinutes: 5,               // custom plan: minutes away that count as a break
+            quietHours: [],                // [{ start: 'HH:MM', end: 'HH:MM' }] without posture alerts
+            frameInterval: 100,            // shortest ms between detection frames
+            adaptiveFrameRate: true,       // slow down while posture is stable or on battery
+            cpuBudget: 25,                 // percent of CPU time inference may use
+            webcamSize: 700,               // square capture size in pixels
+            flipWebcam: true,
+            cameraDeviceId: '',            // empty for the system default camera
+            cameraResolution: '640x480',   // resolution requested from the camera
+            minKeypointConfidence: 0.3,
+            recordDetections: 'off',       // 'off', 'keypoints' or 'frames': record what detection saw for replay
+            modelId: 'terrahacksmodel'     // posture model from the model registry
+        };
+
+        // Form inputs and how their values map to stored settings
+        this.fields = [
+            { id: 'settings-notification-cooldown', key: 'notificationCooldown', type: 'number', scale: 1000, min: 5, max: 600 },
+            { id: 'settings-notification-threshold', key: 'notificationThreshold', type: 'number', min: 1, max: 50 },
+            { id: 'settings-auto-pause', key: 'autoPause', type: 'checkbox' },
+            { id: 'settings-away-timeout', key: 'awayTimeout', type: 'number', min: 10, max: 1800 },
+            { id: 'settings-away-low-rate', key: 'awayLowRate', type: 'checkbox' },
+            { id: 'settings-break-plan', key: 'breakPlan', type: 'select' },
+            { id: 'settings-break-work', key: 'breakWorkMinutes', type: 'number', min: 5, max: 180 },
+            { id: 'settings-break-length', key: 'breakMinutes', type: 'number', min: 1, max: 60 },
+            { id: 'settings-quiet-hours', key: 'quietHours', type: 'time-ranges' },
+            { id: 'settings-close-to-tray', key: 'closeToTray', type: 'checkbox' },
+            { id: 'settings-frame-interval', key: 'frameInterval', type: 'number', min: 50, max: 2000 },
+            { id: 'settings-adaptive-frame-rate', key: 'adaptiveFrameRate', type: 'checkbox' },
+            { id: 'settings-cpu-budget', key: 'cpuBudget', type: 'number', min: 5, max: 100 },
+            { id: 'settings-webcam-size', key: 'webcamSize', type: 'select' },
+            { id: 'settings-camera-resolution', key: 'cameraResolution', type: 'select' },
+            { id: 'settings-flip-webcam', key: 'flipWebcam', type: 'checkbox' },
+            { id: 'settings-min-keypoint', key: 'minKeypointConfidence', type: 'number', min: 0.05, max: 0.95 },
+            { id: 'settings-record-detections', key: 'recordDetections', type: 'select' },
+            { id: 'settings-model', key: 'modelId', type: 'select' }
+        ];
+
+        this.listeners = [];
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settings-btn')?.addEventListener('click', () => this.showSettings());
+        document.getElementById('close-settings')?.addEventListener('click', () => this.hideSettings());
+        document.getElementById('save-settings')?.addEventListener('click', () => this.saveForm());
+        document.getElementById('reset-settings')?.addEventListener('click', () => this.fillForm(this.defaults));
+        document.getElementById('show-delivery-log')?.addEventListener('click', () => this.showDeliveryLog());
+        document.getElementById('add-quiet-hours')?.addEventListener('click', () => {
+            this.addTimeRange(document.getElementById('settings-quiet-hours'), { start: '12:00', end: '13:00' });
+        });
+
+        // Close settings when clicking outside
+        document.getElementById('settings-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'settings-modal') {
+                this.hideSettings();
+            }
+        });
+
+        // The quick toggle in the footer is remembered like every other setting
+        document.getElementById('notifications-enabled')?.addEventListener('change', (e) => {
+            this.update({ notificationsEnabled: e.target.checked });
+        });
+    }
+
+    getAll() {
+        const user = window.authManager.getCurrentUser();
+        return { ...this.defaults, ...((user && user.settings) || {}) };
+    }
+
+    get(key) {
+        return this.getAll()[key];
+    }
+
+    // Called with (settings, previousSettings) whenever settings are applied
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    async update(changes) {
+        const previous = this.getAll();
+        await window.authManager.updateUserData({ settings: { ...previous, ...changes } });
+        this.apply(previous);
+    }
+
+    // Push the current user's settings to the UI, the detection loop and the main process
+    apply(previous = {}) {
+        const settings = this.getAll();
+
+        const notificationsCheckbox = document.getElementById('notifications-enabled');
+        if (notificationsCheckbox) {
+            notificationsCheckbox.checked = settings.notificationsEnabled;
+        }
+
+        if (window.electronAPI && window.electronAPI.updateSettings) {
+            window.electronAPI.updateSettings(settings);
+        }
+
+        this.listeners.forEach(callback => callback(settings, previous));
+        console.log('⚙️ Settings applied:', settings);
+    }
+
+    showSettings() {
+        this.fillForm(this.getAll());
+        document.getElementById('settings-modal').classList.remove('hidden');
+    }
+
+    hideSettings() {
+        document.getElementById('settings-modal').classList.add('hidden');
+        document.getElementById('delivery-log')?.classList.add('hidden');
+    }
+
+    // Latest entries from the main process notification service, newest first
+    async showDeliveryLog() {
+        const container = document.getElementById('delivery-log');
+        if (!container || !window.electronAPI || !window.electronAPI.getNotificationLog) return;
+
+        const entries = (await window.electronAPI.getNotificationLog()).slice(-20).reverse();
+        container.innerHTML = '';
+        container.classList.remove('hidden');
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="no-sessions">No notifications sent yet.</div>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const entryEl = document.createElement('div');
+            entryEl.className = `stretch-item log-item ${entry.status}`;
+
+            let outcome = entry.status === 'skipped' ? `Skipped (${entry.reason})` : `Delivered via ${entry.channel}`;
+            if (entry.status === 'delivered' && entry.channel === 'native') {
+                outcome += entry.acknowledged ? ', confirmed' : ', unconfirmed';
+            }
+
+            entryEl.innerHTML = `
+                <span class="stretch-time">${new Date(entry.at).toLocaleTimeString()}</span>
+                <span class="stretch-posture"></span>
+                <span class="stretch-duration"></span>
+            `;
+            entryEl.querySelector('.stretch-posture').textContent = entry.kind === 'test' ? 'Test' : entry.title;
+            entryEl.querySelector('.stretch-duration').textContent = outcome;
+            entryEl.title = entry.reason || '';
+            container.appendChild(entryEl);
+        });
+    }
+
+    fillForm(settings) {
+        this.fields.forEach(field => {
+            const input = document.getElementById(field.id);
+            if (!input) return;
+
+            if (field.type === 'checkbox') {
+                input.checked = settings[field.key];
+            } else if (field.type === 'time-ranges') {
+                input.innerHTML = '';
+                settings[field.key].forEach(range => this.addTimeRange(input, range));
+            } else {
+                input.value = settings[field.key] / (field.scale || 1);
+            }
+        });
+    }
+
+    readForm() {
+        const settings = {};
+
+        this.fields.forEach(field => {
+            const input = document.getElementById(field.id);
+            if (!input) return;
+
+            if (field.type === 'checkbox') {
+                settings[field.key] = input.checked;
+            } else if (field.type === 'time-ranges') {
+                settings[field.key] = this.readTimeRanges(input);
+            } else if (field.type === 'select') {
+                // Select values are strings; keep numeric settings numeric
+                settings[field.key] = typeof this.defaults[field.key] === 'number' ? Number(input.value) : input.value;
+            } else {
+                // Fall back to the default for empty or invalid input, then clamp to the allowed range
+                let value = parseFloat(input.value);
+                if (Number.isNaN(value)) {
+                    value = this.defaults[field.key] / (field.scale || 1);
+                }
+                value = Math.min(Math.max(value, field.min), field.max);
+                settings[field.key] = value * (field.scale || 1);
+            }
+        });
+
+        return settings;
+    }
+
+    // One editable start/end row in a list of time ranges
+    addTimeRange(container, { start, end }) {
+        const row = document.createElement('div');
+        row.className = 'settings-row time-range';
+        row.innerHTML = `
+            <input type="time" class="time-range-start" value="${start}">
+            <span>to</span>
+            <input type="time" class="time-range-end" value="${end}">
+            <button type="button" class="back-btn time-range-remove">Remove</button>
+        `;
+        row.querySelector('.time-range-remove').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    // Incomplete rows and empty ranges are dropped
+    readTimeRanges(container) {
+        return Array.from(container.querySelectorAll('.time-range'))
+            .map(row => ({
+                start: row.querySelector('.time-range-start').value,
+                end: row.querySelector('.time-range-end').value
+            }))
+            .filter(range => range.start && range.end && range.start !== range.end);
+    }
+
+    async saveForm() {
+        await this.update(this.readForm());
+        this.hideSettings();
+    }
+}
+
+// Initialize settings manager
+window.settingsManager = new SettingsManager();
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the shape of stored user records changes and add a migration below
+const SCHEMA_VERSION = 1;
+
+// Each migration upgrades a user record from version (key - 1) to version key
+const migrations = {
+  // Version 0 is the raw localStorage shape; make sure postureData is complete
+  1: (user) => {
+    const postureData = user.postureData || {};
+    return {
+      ...user,
+      postureData: {
+        sessions: postureData.sessions || [],
+        totalTime: postureData.totalTime || 0,
+        totalSessions: postureData.totalSessions || (postureData.sessions || []).length,
+        avgGoodPosture: postureData.avgGoodPosture || 0,
+        weeklyGoal: postureData.weeklyGoal || 80
+      }
+    };
+  }
+};
+
+function migrateUser(user, fromVersion) {
+  let migrated = user;
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    migrated = migrations[version](migrated);
+  }
+  return migrated;
+}
+
+// Write to a temp file, flush it and rename over the target so a crash never leaves half a file
+async function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Stable file name for a user that doesn't put their email on disk
+function userId(email) {
+  return crypto.createHash('sha1').update(email).digest('hex');
+}
+
+// File-backed store for user profiles and posture sessions, one JSON file per user
+class UserStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.usersDir = path.join(baseDir, 'users');
+    this.metaPath = path.join(baseDir, 'store.json');
+    this.meta = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.usersDir, { recursive: true });
+
+    try {
+      this.meta = JSON.parse(await fs.promises.readFile(this.metaPath, 'utf8'));
+    } catch (error) {
+      this.meta = { schemaVersion: SCHEMA_VERSION, legacyImported: false };
+      await writeFileAtomic(this.metaPath, JSON.stringify(this.meta, null, 2));
+    }
+
+    // Upgrade every stored record written by an older version of the app
+    if (this.meta.schemaVersion < SCHEMA_VERSION) {
+      console.log(`📦 Migrating user store from schema ${this.meta.schemaVersion} to ${SCHEMA_VERSION}`);
+      const users = await this.loadUsers();
+      for (const user of Object.values(users)) {
+        await this.saveUser(user);
+      }
+      this.meta.schemaVersion = SCHEMA_VERSION;
+      await writeFileAtomic(this.metaPath, JSON.stringify(this.meta, null, 2));
+    }
+
+    console.log('📦 User store ready at', this.baseDir);
+  }
+
+  fileFor(email) {
+    return path.join(this.usersDir, `${userId(email)}.json`);
+  }
+
+  async loadUsers() {
+    const users = {};
+    const files = await fs.promises.readdir(this.usersDir);
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const record = JSON.parse(await fs.promises.readFile(path.join(this.usersDir, file), 'utf8'));
+        const user = migrateUser(record.user, record.schemaVersion || 0);
+        users[user.email] = user;
+      } catch (error) {
+        console.error('❌ Skipping unreadable user record:', file, error.message);
+      }
+    }
+
+    return users;
+  }
+
+  async loadUser(email) {
+    try {
+      const record = JSON.parse(await fs.promises.readFile(this.fileFor(email), 'utf8'));
+      return migrateUser(record.user, record.schemaVersion || 0);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Writes are queued so two saves of the same user never race on rename
+  saveUser(user) {
+    const record = { schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), user };
+    const write = this.writeQueue.then(() => writeFileAtomic(this.fileFor(user.email), JSON.stringify(record)));
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  // One-time import of the users object the renderer used to keep in localStorage
+  async importLegacyUsers(legacyUsers) {
+    if (this.meta.legacyImported) {
+      return { imported: 0, skipped: true };
+    }
+
+    const existing = await this.loadUsers();
+    let imported = 0;
+
+    for (const user of Object.values(legacyUsers || {})) {
+      if (!user || !user.email || existing[user.email]) continue;
+      await this.saveUser(migrateUser(user, 0));
+      imported++;
+    }
+
+    this.meta.legacyImported = true;
+    await writeFileAtomic(this.metaPath, JSON.stringify(this.meta, null, 2));
+
+    console.log(`📦 Imported ${imported} user(s) from localStorage`);
+    return { imported, skipped: false };
+  }
+}
+
+module.exports = { UserStore, SCHEMA_VERSION, userId };
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Renderer scripts attach themselves to window, so run the file against a minimal one
+function loadPolicy(user = { email: 'a@example.com' }) {
+  const saved = [];
+  const window = {
+    authManager: {
+      getCurrentUser: () => user,
+      updateUserData: (data) => { saved.push(data); return Promise.resolve(); }
+    }
+  };
+  const source = fs.readFileSync(path.join(__dirname, '..', 'decision-policy.js'), 'utf8');
+  vm.runInNewContext(source, { window, console: { log() {} } });
+  return { policy: window.decisionPolicy, window, saved };
+}
+
+test('a minute of steady 0.85 confidence does not reach the cap', () => {
+  const { policy } = loadPolicy();
+  policy.load();
+
+  const start = 1000000;
+  for (let t = 0; t <= 60000; t += 100) {
+    policy.observe(0.85, start + t);
+  }
+
+  assert.ok(policy.threshold < policy.max, `threshold ${policy.threshold} reached the cap`);
+  assert.ok(policy.threshold > policy.defaults.threshold);
+});
+
+test('the change per minute does not depend on the frame rate', () => {
+  const slow = loadPolicy().policy;
+  const fast = loadPolicy().policy;
+  slow.load();
+  fast.load();
+
+  for (let t = 0; t <= 60000; t += 1000) slow.observe(0.3, t);
+  for (let t = 0; t <= 60000; t += 50) fast.observe(0.3, t);
+
+  assert.ok(Math.abs(slow.threshold - fast.threshold) < 1e-9);
+});
+
+test('save is skipped for a user whose threshold was never loaded', async () => {
+  const { policy, window, saved } = loadPolicy();
+  await policy.save();
+  assert.strictEqual(saved.length, 0);
+
+  policy.load();
+  window.authManager.getCurrentUser = () => ({ email: 'b@example.com' });
+  await policy.save();
+  assert.strictEqual(saved.length, 0);
+});
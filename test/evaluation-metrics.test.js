@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarize } = require('../evaluation-metrics');
+
+const labels = ['Good posture', 'Bad posture'];
+
+function frame(label, predicted) {
+  return { clip: 'clip', label, t: 0, predicted, probabilities: predicted ? { [predicted]: 0.9 } : {}, inferenceMs: 10 };
+}
+
+test('a class that is never predicted scores F1 0 and counts towards macro F1', () => {
+  const frames = [
+    frame('Good posture', 'Good posture'),
+    frame('Good posture', 'Good posture'),
+    frame('Bad posture', 'Good posture'),
+    frame('Bad posture', 'Good posture')
+  ];
+  const summary = summarize(frames, labels);
+
+  assert.strictEqual(summary.perClass['Bad posture'].precision, null);
+  assert.strictEqual(summary.perClass['Bad posture'].recall, 0);
+  assert.strictEqual(summary.perClass['Bad posture'].f1, 0);
+  assert.strictEqual(summary.perClass['Good posture'].f1, 0.667);
+  assert.strictEqual(summary.macroF1, 0.333);
+});
+
+test('a class with no frames and no predictions is left out of macro F1', () => {
+  const frames = [
+    frame('Good posture', 'Good posture'),
+    frame('Good posture', null)
+  ];
+  const summary = summarize(frames, labels);
+
+  assert.strictEqual(summary.perClass['Bad posture'].f1, null);
+  assert.strictEqual(summary.macroF1, 1);
+});
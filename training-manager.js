@@ -0,0 +1,217 @@
+// Training Data Capture and Personal Models
+class TrainingManager {
+    constructor() {
+        this.minSamplesPerLabel = 10; // Fewer examples of a class than this can't train a usable model
+        this.training = false;
+        this.statusTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('settings-btn')?.addEventListener('click', () => this.showDataset());
+        document.getElementById('train-model-btn')?.addEventListener('click', () => this.trainPersonalModel());
+        document.getElementById('clear-training-btn')?.addEventListener('click', () => this.clearSamples());
+    }
+
+    getEmail() {
+        const user = window.authManager.getCurrentUser();
+        return user ? user.email : null;
+    }
+
+    // Classes of the loaded model; samples and personal models use the same labels
+    getLabels() {
+        return window.modelManager.current ? window.modelManager.current.labels : [];
+    }
+
+    // One button per class for labelling the frame currently being analyzed
+    showLabelButtons() {
+        const container = document.getElementById('label-moment');
+        const buttons = document.getElementById('label-moment-buttons');
+        if (!container || !buttons) return;
+
+        buttons.innerHTML = '';
+        this.getLabels().forEach(label => {
+            const button = document.createElement('button');
+            button.className = 'back-btn';
+            button.textContent = label;
+            button.addEventListener('click', () => this.labelMoment(label));
+            buttons.appendChild(button);
+        });
+        container.classList.remove('hidden');
+    }
+
+    hideLabelButtons() {
+        document.getElementById('label-moment')?.classList.add('hidden');
+    }
+
+    showLabelStatus(text) {
+        const status = document.querySelector('#label-moment .label-moment-text');
+        if (!status) return;
+
+        status.textContent = text;
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            status.textContent = 'Label this moment:';
+        }, 3000);
+    }
+
+    // Store the PoseNet output of the latest frame with the label the user chose
+    async labelMoment(label) {
+        const email = this.getEmail();
+        if (!email) return;
+
+        try {
+            const { features } = await window.inferenceClient.capture();
+            await window.electronAPI.addTrainingSample(email, {
+                label,
+                modelId: window.modelManager.current ? window.modelManager.current.id : null,
+                features
+            });
+
+            const count = (await window.electronAPI.listTrainingSamples(email)).filter(sample => sample.label === label).length;
+            this.showLabelStatus(`Saved as "${label}" (${count} sample${count === 1 ? '' : 's'})`);
+            console.log(`🏷️ Training sample saved: ${label}`);
+        } catch (error) {
+            console.error('Error saving training sample:', error);
+            this.showLabelStatus(`Not saved: ${error.message}`);
+        }
+    }
+
+    // Samples captured with other PoseNet settings have a different feature size and can't train the loaded model
+    isUsable(sample) {
+        const { featureSize } = window.modelManager;
+        const size = sample.features ? sample.features.length : sample.featureSize;
+        return featureSize === null || size === featureSize;
+    }
+
+    describeSkipped(count) {
+        return `${count} sample${count === 1 ? '' : 's'} captured with different PoseNet settings ${count === 1 ? 'is' : 'are'} left out`;
+    }
+
+    countByLabel(samples) {
+        const counts = {};
+        this.getLabels().forEach(label => { counts[label] = 0; });
+        samples.forEach(sample => {
+            if (sample.label in counts) counts[sample.label]++;
+        });
+        return counts;
+    }
+
+    // Sample counts per class and the latest samples in the Settings panel
+    async showDataset() {
+        const summary = document.getElementById('training-summary');
+        const list = document.getElementById('training-samples');
+        const trainBtn = document.getElementById('train-model-btn');
+        if (!summary || !list || !window.electronAPI || !window.electronAPI.listTrainingSamples) return;
+
+        const email = this.getEmail();
+        list.innerHTML = '';
+        if (!email) {
+            summary.textContent = 'Log in to collect training data.';
+            return;
+        }
+
+        const samples = await window.electronAPI.listTrainingSamples(email);
+        const skipped = samples.filter(sample => !this.isUsable(sample)).length;
+        const counts = this.countByLabel(samples.filter(sample => this.isUsable(sample)));
+        summary.textContent = Object.entries(counts).map(([label, count]) => `${label}: ${count}`).join(' · ') +
+            (skipped > 0 ? ` (${this.describeSkipped(skipped)})` : '');
+
+        const enough = Object.values(counts).every(count => count >= this.minSamplesPerLabel);
+        if (trainBtn) {
+            trainBtn.disabled = this.training || !enough;
+            trainBtn.title = enough ? '' : `Label at least ${this.minSamplesPerLabel} moments of each class first`;
+        }
+
+        if (samples.length === 0) {
+            list.innerHTML = '<div class="no-sessions">No labelled moments yet. Use the label buttons while monitoring.</div>';
+            return;
+        }
+
+        samples.slice(-20).reverse().forEach(sample => {
+            const sampleEl = document.createElement('div');
+            sampleEl.className = 'stretch-item sample-item';
+            sampleEl.innerHTML = `
+                <span class="stretch-time">${new Date(sample.at).toLocaleString()}</span>
+                <span class="stretch-posture"></span>
+                <button class="back-btn">Delete</button>
+            `;
+            sampleEl.querySelector('.stretch-posture').textContent = sample.label;
+            sampleEl.querySelector('button').addEventListener('click', async () => {
+                await window.electronAPI.removeTrainingSample(email, sample.id);
+                this.showDataset();
+            });
+            list.appendChild(sampleEl);
+        });
+    }
+
+    async clearSamples() {
+        const email = this.getEmail();
+        if (!email || !confirm('Delete all labelled moments? Personal models already trained are kept.')) return;
+
+        await window.electronAPI.clearTrainingSamples(email);
+        console.log('🏷️ Training samples cleared');
+        this.showDataset();
+    }
+
+    // Retrain the classifier on the user's samples in the inference window and switch to the result
+    async trainPersonalModel() {
+        const email = this.getEmail();
+        const progress = document.getElementById('training-progress');
+        const trainBtn = document.getElementById('train-model-btn');
+        if (!email || this.training || !progress) return;
+
+        const labels = this.getLabels();
+        const labelled = (await window.electronAPI.loadTrainingSamples(email)).filter(sample => labels.includes(sample.label));
+        const samples = labelled.filter(sample => this.isUsable(sample));
+        const skipped = labelled.length - samples.length;
+        const counts = this.countByLabel(samples);
+        progress.classList.remove('hidden');
+
+        const short = Object.keys(counts).filter(label => counts[label] < this.minSamplesPerLabel);
+        if (short.length > 0) {
+            progress.textContent = `Label at least ${this.minSamplesPerLabel} moments of ${short.join(' and ')} first.` +
+                (skipped > 0 ? ` ${this.describeSkipped(skipped)}.` : '');
+            return;
+        }
+
+        this.training = true;
+        if (trainBtn) trainBtn.disabled = true;
+        progress.textContent = `Training on ${samples.length} samples...`;
+        if (skipped > 0) {
+            console.log(`🏋️ ${this.describeSkipped(skipped)}`);
+        }
+
+        try {
+            const trained = await window.inferenceClient.train(samples, labels, ({ epoch, epochs, accuracy }) => {
+                progress.textContent = `Training... epoch ${epoch} of ${epochs}, ${Math.round(accuracy * 100)}% accuracy`;
+            });
+
+            const model = await window.electronAPI.savePersonalModel(email, trained, {
+                baseModel: window.modelManager.getSessionModel(),
+                samples: samples.length
+            });
+            if (!model.valid) {
+                throw new Error(model.problems.join(', '));
+            }
+
+            // Choosing it in settings loads it like any other model
+            progress.textContent = `Trained on ${samples.length} samples${skipped > 0 ? ` (${this.describeSkipped(skipped)})` : ''}. Your personal model is now active.`;
+            console.log(`🏋️ Personal model ${model.id} trained`);
+            await window.settingsManager.update({ modelId: model.id });
+        } catch (error) {
+            console.error('Error training personal model:', error);
+            progress.textContent = `Training failed: ${error.message}`;
+        } finally {
+            this.training = false;
+            if (trainBtn) trainBtn.disabled = false;
+        }
+    }
+}
+
+// Initialize training manager
+window.trainingManager = new TrainingManager();
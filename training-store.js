@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { userId } = require('./store');
+const { encryptBuffer, decryptBuffer } = require('./credentials');
+
+// Labelled PoseNet outputs captured in the app, for retraining the classifier.
+// Each user gets a folder with an index.json and one raw Float32 file per sample.
+// Samples of encrypted profiles are encrypted with the profile key; the index only describes them.
+class TrainingStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.writeQueue = Promise.resolve();
+  }
+
+  dirFor(email) {
+    return path.join(this.baseDir, userId(email));
+  }
+
+  async readIndex(email) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dirFor(email), 'index.json'), 'utf8'));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  writeIndex(email, index) {
+    return fs.promises.writeFile(path.join(this.dirFor(email), 'index.json'), JSON.stringify(index, null, 2));
+  }
+
+  // Index changes are queued so quick successive captures don't overwrite each other
+  queue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Sample descriptions without features: [{ id, label, at, modelId, featureSize, encrypted }]
+  list(email) {
+    return this.readIndex(email);
+  }
+
+  // sample: { label, modelId, features (Float32Array of PoseNet output) }; key: profile key or null
+  add(email, { label, modelId, features }, key = null) {
+    return this.queue(async () => {
+      const dir = this.dirFor(email);
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const entry = {
+        id: crypto.randomBytes(8).toString('hex'),
+        label,
+        at: new Date().toISOString(),
+        modelId,
+        featureSize: features.length,
+        encrypted: !!key
+      };
+      const data = Buffer.from(features.buffer, features.byteOffset, features.byteLength);
+      await fs.promises.writeFile(path.join(dir, `${entry.id}.bin`), key ? encryptBuffer(key, data) : data);
+
+      const index = await this.readIndex(email);
+      index.push(entry);
+      await this.writeIndex(email, index);
+      return entry;
+    });
+  }
+
+  remove(email, id) {
+    return this.queue(async () => {
+      // Ids come from the renderer, so only ids of the user's own samples are turned into paths
+      const index = await this.readIndex(email);
+      if (!index.some(entry => entry.id === id)) return;
+
+      await this.writeIndex(email, index.filter(entry => entry.id !== id));
+      await fs.promises.rm(path.join(this.dirFor(email), `${id}.bin`), { force: true });
+    });
+  }
+
+  clear(email) {
+    return this.queue(() => fs.promises.rm(this.dirFor(email), { recursive: true, force: true }));
+  }
+
+  // Every sample with its features, for training: [{ label, features }]
+  async load(email, key = null) {
+    const index = await this.readIndex(email);
+    const samples = [];
+
+    for (const entry of index) {
+      try {
+        const stored = await fs.promises.readFile(path.join(this.dirFor(email), `${entry.id}.bin`));
+        const buffer = entry.encrypted ? decryptBuffer(key, stored) : stored;
+        const features = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+        samples.push({ label: entry.label, features });
+      } catch (error) {
+        console.error('❌ Skipping unreadable training sample:', entry.id, error.message);
+      }
+    }
+
+    return samples;
+  }
+}
+
+module.exports = { TrainingStore };
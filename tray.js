@@ -0,0 +1,99 @@
+const path = require('path');
+const { Tray, Menu, nativeImage } = require('electron');
+
+// Minutes offered under "Pause monitoring"
+const PAUSE_OPTIONS = [15, 30, 60];
+
+// Tray icon and menu mirroring the renderer's monitoring state
+class PostureTray {
+  constructor(appDir, actions) {
+    this.iconDir = path.join(appDir, 'assets', 'tray');
+    this.actions = actions; // { showWindow, showDashboard, startMonitoring, stopMonitoring, pause, resume, quit }
+    this.status = { available: false, monitoring: false, posture: null, confidence: 0, pausedUntil: null };
+    this.icons = {};
+    this.tray = null;
+  }
+
+  create() {
+    ['good', 'bad', 'paused', 'idle'].forEach(name => {
+      // nativeImage picks up the @2x variant next to each file on high-DPI displays
+      this.icons[name] = nativeImage.createFromPath(path.join(this.iconDir, `${name}.png`));
+    });
+
+    this.tray = new Tray(this.icons.idle);
+    this.tray.on('click', () => this.actions.showWindow());
+    this.render();
+  }
+
+  // Status reported by the renderer whenever monitoring starts, stops or the posture state changes
+  update(status) {
+    this.status = { ...this.status, ...status };
+    this.render();
+  }
+
+  getIconName() {
+    if (this.status.pausedUntil) return 'paused';
+    if (!this.status.monitoring) return 'idle';
+    if (this.status.posture === 'good') return 'good';
+    if (this.status.posture === 'bad') return 'bad';
+    return 'idle';
+  }
+
+  getTooltip() {
+    const { monitoring, posture, confidence, pausedUntil } = this.status;
+
+    if (pausedUntil) {
+      const until = new Date(pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `Perfect Posture - paused until ${until}`;
+    }
+    if (!monitoring) return 'Perfect Posture - not monitoring';
+    if (posture === 'good') return `Perfect Posture - good posture (${Math.round(confidence * 100)}%)`;
+    if (posture === 'bad') return `Perfect Posture - bad posture (${Math.round(confidence * 100)}%)`;
+    return 'Perfect Posture - analyzing';
+  }
+
+  buildMenu() {
+    const { available, monitoring, pausedUntil } = this.status;
+
+    const template = [
+      { label: 'Open Perfect Posture', click: () => this.actions.showWindow() },
+      { label: 'Open Dashboard', enabled: available, click: () => this.actions.showDashboard() },
+      { type: 'separator' }
+    ];
+
+    if (pausedUntil) {
+      template.push({ label: 'Resume Monitoring', click: () => this.actions.resume() });
+    } else if (monitoring) {
+      template.push({ label: 'Stop Monitoring', click: () => this.actions.stopMonitoring() });
+      template.push({
+        label: 'Pause Monitoring',
+        submenu: PAUSE_OPTIONS.map(minutes => ({
+          label: `For ${minutes} minutes`,
+          click: () => this.actions.pause(minutes)
+        }))
+      });
+    } else {
+      template.push({ label: 'Start Monitoring', enabled: available, click: () => this.actions.startMonitoring() });
+    }
+
+    template.push({ type: 'separator' }, { label: 'Quit', click: () => this.actions.quit() });
+    return Menu.buildFromTemplate(template);
+  }
+
+  render() {
+    if (!this.tray) return;
+
+    this.tray.setImage(this.icons[this.getIconName()]);
+    this.tray.setToolTip(this.getTooltip());
+    this.tray.setContextMenu(this.buildMenu());
+  }
+
+  destroy() {
+    if (this.tray) {
+      this.tray.destroy();
+      this.tray = null;
+    }
+  }
+}
+
+module.exports = { PostureTray };